@@ -1,18 +1,580 @@
-// Listen for tab updates to cache favicons
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url) {
+// Storage layout and network code shared with the page and the tests
+importScripts('cache.js', 'favicons.js', 'health.js');
+
+// ——— FAVICON CACHE ———
+
+const SHORTCUTS_KEY = 'shortcuts';
+const FAVICON_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const FAVICON_PRUNE_ALARM = 'faviconPrune';
+
+// The prune in progress and the one waiting to start after it
+let faviconPruneQueue = Promise.resolve();
+let nextFaviconPrune = null;
+
+/**
+ * Reads the URLs of all saved shortcuts.
+ *
+ * @returns {Promise<string[]>} - Shortcut URLs; folders have none.
+ */
+const getShortcutUrls = async () => {
+  const { [SHORTCUTS_KEY]: shortcuts = [] } = await chrome.storage.local.get(SHORTCUTS_KEY);
+  return shortcuts.map(shortcut => shortcut.url).filter(Boolean);
+};
+
+/**
+ * Maps every host that has a saved shortcut to one of its URLs. Only
+ * these hosts are cached.
+ *
+ * @returns {Promise<Map<string, string>>} - URL by host.
+ */
+const getShortcutHosts = async () => {
+  const hosts = new Map();
+  (await getShortcutUrls()).forEach((shortcutUrl) => {
     try {
-      const url = new URL(tab.url);
-      const host = url.hostname;
-      
-      // Get the tab's favicon URL from Chrome's cache
-      const tabInfo = await chrome.tabs.get(tabId);
-      if (tabInfo.favIconUrl) {
-        // Store the favicon URL in chrome.storage.local
-        await chrome.storage.local.set({ [`favicon_${host}`]: tabInfo.favIconUrl });
+      const url = new URL(shortcutUrl);
+      if (/^https?:$/.test(url.protocol) && !hosts.has(url.hostname)) {
+        hosts.set(url.hostname, url.href);
       }
     } catch {
-      // Ignore invalid URLs
+      // Folders and invalid URLs have no host
+    }
+  });
+  return hosts;
+};
+
+/**
+ * Reads a cache entry. Older versions stored the bare icon URL, which is
+ * treated as fetched and used just now.
+ *
+ * @param {*} value - Stored favicon_<host> value.
+ * @param {number} now - Current time.
+ * @returns {?{src: string, bytes: number, fetchedAt: number, usedAt: number}}
+ */
+const toFaviconEntry = (value, now = Date.now()) => {
+  if (typeof value === 'string') {
+    return { src: value, bytes: value.length, fetchedAt: now, usedAt: now };
+  }
+  return value && typeof value.src === 'string' ? value : null;
+};
+
+/**
+ * Checks whether a host's cached icon is missing or past its TTL.
+ *
+ * @param {string} host - Host of the page.
+ * @returns {Promise<boolean>}
+ */
+const needsFavicon = async (host) => {
+  const key = faviconKey(host);
+  const entry = toFaviconEntry((await chrome.storage.local.get(key))[key]);
+  return !entry || Date.now() - entry.fetchedAt > FAVICON_TTL_MS;
+};
+
+/**
+ * Stores a host's icon in the cache and brings the cache back within
+ * its budget.
+ *
+ * @param {string} host - Host of the page.
+ * @param {string} src - Icon as a data URL.
+ * @returns {Promise<void>}
+ */
+const storeFaviconEntry = async (host, src) => {
+  const now = Date.now();
+  await chrome.storage.local.set({
+    [faviconKey(host)]: { src, bytes: src.length, fetchedAt: now, usedAt: now },
+  });
+  await pruneFaviconCache();
+};
+
+/**
+ * Keeps the favicon cache scoped and bounded. Icons of hosts that no
+ * longer have a shortcut are dropped, expired icons are fetched again
+ * (and dropped if that fails), and the least recently shown icons are
+ * evicted while the cache is larger than FAVICON_CACHE_BYTES. The index
+ * is rewritten to list what is left.
+ *
+ * @returns {Promise<void>}
+ */
+const pruneFavicons = async () => {
+  const hosts = await getShortcutHosts();
+  const stored = await chrome.storage.local.get(await getFaviconKeys(hosts.keys()));
+  const now = Date.now();
+  const removed = [];
+  const upgraded = {};
+  const expired = [];
+  const entries = [];
+
+  Object.keys(stored).forEach((key) => {
+    const host = key.slice(FAVICON_PREFIX.length);
+    const entry = toFaviconEntry(stored[key], now);
+    if (!entry || !hosts.has(host)) {
+      removed.push(key);
+      return;
+    }
+    if (entry !== stored[key]) upgraded[key] = entry;
+    if (now - entry.fetchedAt > FAVICON_TTL_MS) expired.push({ key, url: hosts.get(host) });
+    entries.push({ key, ...entry });
+  });
+
+  entries.sort((a, b) => a.usedAt - b.usedAt);
+  let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  while (total > FAVICON_CACHE_BYTES && entries.length) {
+    const entry = entries.shift();
+    total -= entry.bytes;
+    removed.push(entry.key);
+    delete upgraded[entry.key];
+  }
+
+  const index = {};
+  entries.forEach((entry) => {
+    index[entry.key] = { bytes: entry.bytes, storedAt: entry.fetchedAt };
+  });
+  await chrome.storage.local.set({ ...upgraded, [FAVICON_INDEX_KEY]: index });
+  if (removed.length) await chrome.storage.local.remove(removed);
+
+  expired.filter(({ key }) => !removed.includes(key)).forEach(({ key, url }) => {
+    resolveFavicon(url, true)
+      .then(resolved => resolved || chrome.storage.local.remove(key))
+      .catch(() => {});
+  });
+};
+
+/**
+ * Prunes the favicon cache after the prune in progress, if any. Calls
+ * made while a prune is waiting share it, so an import storing many
+ * icons prunes a few times rather than once per icon.
+ *
+ * @returns {Promise<void>}
+ */
+const pruneFaviconCache = () => {
+  if (!nextFaviconPrune) {
+    nextFaviconPrune = faviconPruneQueue.then(() => {
+      nextFaviconPrune = null;
+      return pruneFavicons();
+    });
+    faviconPruneQueue = nextFaviconPrune.catch(() => {});
+  }
+  return nextFaviconPrune;
+};
+
+/**
+ * Caches the icon of a finished tab, if its host belongs to a shortcut
+ * and the cached icon is missing or expired.
+ *
+ * @param {number} tabId - Tab that finished loading.
+ * @param {string} tabUrl - URL of the tab.
+ * @returns {Promise<void>}
+ */
+const cacheTabFavicon = async (tabId, tabUrl) => {
+  const host = new URL(tabUrl).hostname;
+  if (!(await getShortcutHosts()).has(host) || !(await needsFavicon(host))) return;
+
+  // Get the tab's favicon URL from Chrome's cache
+  const tabInfo = await chrome.tabs.get(tabId);
+  if (!tabInfo.favIconUrl) return;
+
+  const icon = await loadIcon(tabInfo.favIconUrl);
+  if (icon) {
+    await storeFaviconEntry(host, icon.dataUrl);
+    await clearFaviconFailure(host);
+  }
+};
+
+// ——— THUMBNAILS ———
+
+const TILE_STYLE_KEY = 'tileStyle';
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 200;
+const THUMBNAIL_MAX_AGE_MS = 60 * 60 * 1000; // Capture a page at most hourly
+const THUMBNAIL_SETTLE_MS = 1500; // Let late content paint before capturing
+
+let thumbnailQueue = Promise.resolve();
+
+/**
+ * Runs a change to the thumbnails and their index after the ones before
+ * it, since captures of several tabs can finish together.
+ *
+ * @param {Function} task - Async function that changes the thumbnails.
+ * @returns {Promise<void>}
+ */
+const updateThumbnails = (task) => {
+  const run = thumbnailQueue.then(task);
+  thumbnailQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Stores a thumbnail and evicts the oldest captures while all of them
+ * take more than THUMBNAIL_CACHE_BYTES.
+ *
+ * @param {string} key - Storage key from thumbnailKey().
+ * @param {string} src - Thumbnail as a data URL.
+ * @returns {Promise<void>}
+ */
+const storeThumbnail = (key, src) => updateThumbnails(async () => {
+  const index = await readCacheIndex(THUMBNAIL_INDEX_KEY, THUMBNAIL_PREFIX);
+  const capturedAt = Date.now();
+  index[key] = { bytes: src.length, storedAt: capturedAt };
+
+  const evicted = [];
+  const oldest = Object.keys(index).filter(other => other !== key)
+    .sort((a, b) => index[a].storedAt - index[b].storedAt);
+  let total = Object.values(index).reduce((sum, entry) => sum + entry.bytes, 0);
+  while (total > THUMBNAIL_CACHE_BYTES && oldest.length) {
+    const evict = oldest.shift();
+    total -= index[evict].bytes;
+    delete index[evict];
+    evicted.push(evict);
+  }
+
+  await chrome.storage.local.set({ [key]: { src, capturedAt }, [THUMBNAIL_INDEX_KEY]: index });
+  if (evicted.length) await chrome.storage.local.remove(evicted);
+});
+
+/**
+ * Scales a screenshot down to thumbnail size, keeping the top of the
+ * page.
+ *
+ * @param {string} screenshot - Screenshot as a data URL.
+ * @returns {Promise<string>} - JPEG thumbnail as a data URL.
+ */
+const downscaleScreenshot = async (screenshot) => {
+  const bitmap = await createImageBitmap(await (await fetch(screenshot)).blob());
+  const canvas = new OffscreenCanvas(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+  // Fill the thumbnail, cropping the sides of wide screens
+  const scale = Math.max(THUMBNAIL_WIDTH / bitmap.width, THUMBNAIL_HEIGHT / bitmap.height);
+  const sourceWidth = THUMBNAIL_WIDTH / scale;
+  canvas.getContext('2d').drawImage(bitmap, (bitmap.width - sourceWidth) / 2, 0, sourceWidth,
+    THUMBNAIL_HEIGHT / scale, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+  bitmap.close();
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+  return `data:image/jpeg;base64,${toBase64(await blob.arrayBuffer())}`;
+};
+
+/**
+ * Captures a thumbnail of a finished tab when thumbnail tiles are on and
+ * the page is a saved shortcut. Incognito tabs are never captured.
+ *
+ * @param {number} tabId - Tab that finished loading.
+ * @param {string} tabUrl - URL of the tab.
+ * @returns {Promise<void>}
+ */
+const captureThumbnail = async (tabId, tabUrl) => {
+  const { [TILE_STYLE_KEY]: tileStyle } = await chrome.storage.local.get(TILE_STYLE_KEY);
+  const key = thumbnailKey(tabUrl);
+  if (tileStyle !== 'thumbnail' || !key) return;
+  if (!(await getShortcutUrls()).some(url => thumbnailKey(url) === key)) return;
+
+  const existing = (await chrome.storage.local.get(key))[key];
+  if (existing && Date.now() - existing.capturedAt < THUMBNAIL_MAX_AGE_MS) return;
+
+  // Only the visible tab of a window can be captured, so check again once
+  // the page has settled
+  await new Promise(resolve => setTimeout(resolve, THUMBNAIL_SETTLE_MS));
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.active || tab.incognito || thumbnailKey(tab.url) !== key) return;
+
+  const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 80 });
+  await storeThumbnail(key, await downscaleScreenshot(screenshot));
+};
+
+/**
+ * Drops thumbnails of pages that no longer have a shortcut.
+ *
+ * @returns {Promise<void>}
+ */
+const pruneThumbnails = () => updateThumbnails(async () => {
+  const keys = new Set((await getShortcutUrls()).map(thumbnailKey));
+  const index = await readCacheIndex(THUMBNAIL_INDEX_KEY, THUMBNAIL_PREFIX);
+  const stale = Object.keys(index).filter(key => !keys.has(key));
+  stale.forEach((key) => {
+    delete index[key];
+  });
+
+  await chrome.storage.local.set({ [THUMBNAIL_INDEX_KEY]: index });
+  if (stale.length) await chrome.storage.local.remove(stale);
+});
+
+// ——— FAVICON RESOLVER ———
+
+const FAVICON_FAILURES_KEY = 'faviconFailures';
+const FAVICON_RETRY_ALARM = 'faviconRetry|';
+const FAVICON_RETRY_BASE_MS = 60 * 1000;
+const FAVICON_RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+const FAVICON_MAX_ATTEMPTS = 6;
+const FAVICON_MAX_CONCURRENT = 4; // Imports ask for many icons at once
+
+// Resolutions in progress, keyed by host
+const pendingFavicons = new Map();
+
+// Resolutions running and waiting for a free slot
+let runningFavicons = 0;
+const waitingFavicons = [];
+
+let faviconFailuresQueue = Promise.resolve();
+
+/**
+ * Reads the failed resolutions by host.
+ *
+ * @returns {Promise<Object<string, {attempts: number, url: string, gaveUp: ?boolean}>>}
+ */
+const getFaviconFailures = async () => {
+  const { [FAVICON_FAILURES_KEY]: failures = {} } = await chrome.storage.local.get(FAVICON_FAILURES_KEY);
+  return failures;
+};
+
+/**
+ * Applies a change to the failed resolutions. Updates are queued so that
+ * resolutions finishing together cannot drop each other's records.
+ *
+ * @param {Function} update - Receives the failures by host and mutates
+ *   them; returning false leaves storage untouched.
+ * @returns {Promise<void>}
+ */
+const updateFaviconFailures = (update) => {
+  const run = faviconFailuresQueue.then(async () => {
+    const failures = await getFaviconFailures();
+    if (update(failures) === false) return;
+    await chrome.storage.local.set({ [FAVICON_FAILURES_KEY]: failures });
+  });
+  faviconFailuresQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Records a failed resolution and schedules a retry, waiting twice as
+ * long after every failure. Gives up after FAVICON_MAX_ATTEMPTS until
+ * the next forced resolution.
+ *
+ * @param {string} host - Host of the page.
+ * @param {string} pageUrl - URL to retry.
+ * @returns {Promise<void>}
+ */
+const scheduleFaviconRetry = async (host, pageUrl) => {
+  let delay = null;
+  await updateFaviconFailures((failures) => {
+    const previous = failures[host];
+    const attempts = (previous && !previous.gaveUp ? previous.attempts : 0) + 1;
+
+    if (attempts >= FAVICON_MAX_ATTEMPTS) {
+      // Stay on record so only saving or refreshing the shortcut tries again
+      failures[host] = { attempts, url: pageUrl, gaveUp: true };
+    } else {
+      delay = Math.min(FAVICON_RETRY_BASE_MS * 2 ** (attempts - 1), FAVICON_RETRY_MAX_MS);
+      failures[host] = { attempts, url: pageUrl };
+    }
+  });
+
+  if (delay === null) {
+    await chrome.alarms.clear(`${FAVICON_RETRY_ALARM}${host}`);
+  } else {
+    await chrome.alarms.create(`${FAVICON_RETRY_ALARM}${host}`, { when: Date.now() + delay });
+  }
+};
+
+/**
+ * Forgets earlier failures for a host once its icon has been found.
+ *
+ * @param {string} host - Host of the page.
+ * @returns {Promise<void>}
+ */
+const clearFaviconFailure = async (host) => {
+  let cleared = false;
+  await updateFaviconFailures((failures) => {
+    if (!failures[host]) return false;
+    delete failures[host];
+    cleared = true;
+  });
+  if (cleared) await chrome.alarms.clear(`${FAVICON_RETRY_ALARM}${host}`);
+};
+
+/**
+ * Retries a host whose icon could not be resolved. Alarms set by older
+ * versions are named after the page URL instead of the host.
+ *
+ * @param {string} target - Host, or page URL of an older alarm.
+ * @returns {Promise<void>}
+ */
+const retryFavicon = async (target) => {
+  const failure = (await getFaviconFailures())[target];
+  const pageUrl = failure ? failure.url : target;
+  await resolveFavicon(pageUrl, true);
+};
+
+/**
+ * Runs a resolution once fewer than FAVICON_MAX_CONCURRENT are running.
+ *
+ * @param {Function} task - Async function that resolves an icon.
+ * @returns {Promise<*>} - Whatever `task` returns.
+ */
+const withFaviconSlot = async (task) => {
+  if (runningFavicons < FAVICON_MAX_CONCURRENT) {
+    runningFavicons += 1;
+  } else {
+    // The finishing resolution hands its slot over
+    await new Promise(resolve => waitingFavicons.push(resolve));
+  }
+
+  try {
+    return await task();
+  } finally {
+    const next = waitingFavicons.shift();
+    if (next) {
+      next();
+    } else {
+      runningFavicons -= 1;
     }
   }
-}); 
\ No newline at end of file
+};
+
+/**
+ * Resolves a page's icon and stores it as a data URL under
+ * favicon_<host>, so it shows before the site is visited and while
+ * offline. Failures are retried later with backoff.
+ *
+ * Unless forced, hosts with a fresh icon or a pending retry are skipped.
+ *
+ * @param {string} pageUrl - URL of the page.
+ * @param {boolean} force - Fetch again even if an icon is cached.
+ * @returns {Promise<boolean>} - Whether an icon is stored.
+ */
+const resolveFavicon = (pageUrl, force = false) => {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch {
+    return Promise.resolve(false);
+  }
+  if (!/^https?:$/.test(url.protocol)) return Promise.resolve(false);
+
+  const host = url.hostname;
+  if (pendingFavicons.has(host)) return pendingFavicons.get(host);
+
+  const resolution = (async () => {
+    if (!force) {
+      if ((await getFaviconFailures())[host]) return false;
+      if (!(await needsFavicon(host))) return true;
+    }
+
+    const icon = await withFaviconSlot(() => findFavicon(url.href));
+    if (icon) {
+      await storeFaviconEntry(host, icon.dataUrl);
+      await clearFaviconFailure(host);
+    } else {
+      await scheduleFaviconRetry(host, url.href);
+    }
+    return Boolean(icon);
+  })().finally(() => pendingFavicons.delete(host));
+
+  pendingFavicons.set(host, resolution);
+  return resolution;
+};
+
+// ——— HEALTH CHECKS ———
+
+const HEALTH_KEY = 'shortcutHealth';
+const HEALTH_ALARM = 'healthCheck';
+const HEALTH_INTERVAL_MINUTES = 12 * 60;
+const HEALTH_BATCH_SIZE = 10; // Results written to storage at a time
+
+// The check in progress, if any
+let healthCheck = null;
+
+/**
+ * Probes saved shortcut URLs one at a time and stores the results by URL
+ * under shortcutHealth. Results of URLs that are no longer saved are
+ * dropped. Results are written every HEALTH_BATCH_SIZE URLs, so a worker
+ * stopped halfway keeps most of what it found.
+ *
+ * @param {?string[]} only - Check just these URLs; all if null.
+ * @returns {Promise<number>} - Number of URLs checked.
+ */
+const runHealthCheck = (only = null) => {
+  if (healthCheck) return healthCheck.then(() => runHealthCheck(only));
+
+  healthCheck = (async () => {
+    const urls = [...new Set(await getShortcutUrls())].filter(url => /^https?:/i.test(url));
+    const { [HEALTH_KEY]: previous = {} } = await chrome.storage.local.get(HEALTH_KEY);
+
+    const health = {};
+    urls.filter(url => previous[url]).forEach((url) => {
+      health[url] = previous[url];
+    });
+
+    const targets = only ? urls.filter(url => only.includes(url)) : urls;
+    for (const [i, url] of targets.entries()) {
+      health[url] = { ...(await probeUrl(url)), checkedAt: Date.now() };
+      if ((i + 1) % HEALTH_BATCH_SIZE === 0 && i + 1 < targets.length) {
+        await chrome.storage.local.set({ [HEALTH_KEY]: health });
+      }
+    }
+    await chrome.storage.local.set({ [HEALTH_KEY]: health });
+
+    return targets.length;
+  })().finally(() => {
+    healthCheck = null;
+  });
+
+  return healthCheck;
+};
+
+// Resolve icons and check links for the new tab page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message) return false;
+
+  if (message.type === 'resolveFavicon') {
+    resolveFavicon(message.url, Boolean(message.force))
+      .then(resolved => sendResponse({ resolved }))
+      .catch(() => sendResponse({ resolved: false }));
+    return true;
+  }
+
+  if (message.type === 'checkHealth') {
+    runHealthCheck(Array.isArray(message.urls) ? message.urls : null)
+      .then(checked => sendResponse({ checked }))
+      .catch(() => sendResponse({ checked: 0 }));
+    return true;
+  }
+
+  return false;
+});
+
+// Retry icons that could not be resolved earlier, prune the caches daily
+// and check links
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(FAVICON_RETRY_ALARM)) {
+    retryFavicon(alarm.name.slice(FAVICON_RETRY_ALARM.length)).catch(() => {});
+  } else if (alarm.name === FAVICON_PRUNE_ALARM) {
+    pruneFaviconCache().catch(() => {});
+    pruneThumbnails().catch(() => {});
+  } else if (alarm.name === HEALTH_ALARM) {
+    runHealthCheck().catch(() => {});
+  }
+});
+
+// Index caches written by older versions right away
+chrome.runtime.onInstalled.addListener(() => {
+  pruneFaviconCache().catch(() => {});
+  pruneThumbnails().catch(() => {});
+});
+
+chrome.alarms.get(FAVICON_PRUNE_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(FAVICON_PRUNE_ALARM, { periodInMinutes: 24 * 60 });
+});
+
+// Check links periodically, starting shortly after the extension starts
+chrome.alarms.get(HEALTH_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(HEALTH_ALARM, { delayInMinutes: 1, periodInMinutes: HEALTH_INTERVAL_MINUTES });
+});
+
+// Listen for tab updates to cache favicons and thumbnails of shortcuts
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && tab.url) {
+    cacheTabFavicon(tabId, tab.url).catch(() => {
+      // Ignore invalid URLs and tabs that closed meanwhile
+    });
+    captureThumbnail(tabId, tab.url).catch(() => {
+      // Pages Chrome does not allow capturing keep their favicon
+    });
+  }
+});
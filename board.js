@@ -0,0 +1,304 @@
+/**
+ * Eclipse New Tab - Board data model
+ *
+ * Shortcut and tab basics shared by the new tab page and the tests, the
+ * schema migrations that bring stored boards up to date, and turning
+ * imported links into a board. Nothing in this file touches storage or
+ * the page.
+ */
+
+// The system tab that holds every shortcut not assigned to another tab
+const UNGROUPED_TAB_ID = 'ungrouped';
+const UNGROUPED_TAB_NAME = 'Ungrouped';
+
+/**
+ * Generates a new, collision-free ID for a shortcut or tab.
+ *
+ * @returns {string} - A new ID.
+ */
+const generateId = () => crypto.randomUUID();
+
+/**
+ * Checks whether a tab is the system "Ungrouped" tab.
+ *
+ * @param {?Object} tab - Tab object.
+ * @returns {boolean} - True for the Ungrouped tab.
+ */
+const isUngroupedTab = tab => !!tab && tab.id === UNGROUPED_TAB_ID;
+
+/**
+ * Checks whether a shortcut is a folder. A folder has no URL and keeps
+ * its own ordered list of shortcut IDs, like a tab does.
+ *
+ * @param {?Object} shortcut - The shortcut.
+ * @returns {boolean} - True for folders.
+ */
+const isFolder = shortcut => Boolean(shortcut && shortcut.type === 'folder');
+
+// ——— SCHEMA MIGRATIONS ———
+// A migration is frozen once released: changed behaviour goes into a new
+// migration, so every user's data goes through the same steps.
+
+/**
+ * Migration 1: shortcut IDs used to come from Date.now(), so two created
+ * in the same millisecond could share one. Duplicate or missing shortcut
+ * and tab IDs get fresh IDs. When a shortcut ID was shared, the n-th
+ * reference in the tabs goes to the n-th shortcut with that ID.
+ *
+ * @param {Object} data - Board data.
+ * @returns {Object} - Migrated data.
+ */
+const migrateUniqueIds = (data) => {
+  const seen = new Set();
+  const idsFor = new Map();
+
+  const shortcuts = data.shortcuts.map((shortcut) => {
+    const id = shortcut.id && !seen.has(shortcut.id) ? shortcut.id : generateId();
+    seen.add(id);
+    if (shortcut.id) {
+      idsFor.set(shortcut.id, [...(idsFor.get(shortcut.id) || []), id]);
+    }
+    return { ...shortcut, id };
+  });
+
+  const used = new Map();
+  const seenTabs = new Set();
+  let { activeTab } = data;
+
+  const tabs = data.tabs.map((tab) => {
+    const id = tab.id && !seenTabs.has(tab.id) ? tab.id : generateId();
+    seenTabs.add(id);
+
+    return {
+      ...tab,
+      id,
+      shortcuts: (tab.shortcuts || []).map((shortcutId) => {
+        const ids = idsFor.get(shortcutId) || [shortcutId];
+        const n = used.get(shortcutId) || 0;
+        used.set(shortcutId, n + 1);
+        return ids[Math.min(n, ids.length - 1)];
+      }),
+    };
+  });
+
+  if (!activeTab || !seenTabs.has(activeTab)) activeTab = null;
+
+  return { shortcuts, tabs, activeTab };
+};
+
+/**
+ * Migration 2: the Ungrouped tab used to be recognised by its name. It
+ * now has the fixed ID UNGROUPED_TAB_ID and always comes first. If there
+ * were several tabs named "Ungrouped" their shortcuts are combined.
+ *
+ * @param {Object} data - Board data.
+ * @returns {Object} - Migrated data.
+ */
+const migrateUngroupedTabId = (data) => {
+  const legacy = data.tabs.filter(tab => tab.id === UNGROUPED_TAB_ID || tab.name === UNGROUPED_TAB_NAME);
+  const legacyIds = new Set(legacy.map(tab => tab.id));
+
+  const ungroupedTab = {
+    ...(legacy[0] || {}),
+    id: UNGROUPED_TAB_ID,
+    name: UNGROUPED_TAB_NAME,
+    shortcuts: legacy.flatMap(tab => tab.shortcuts || []),
+  };
+
+  return {
+    shortcuts: data.shortcuts,
+    tabs: [ungroupedTab, ...data.tabs.filter(tab => !legacyIds.has(tab.id))],
+    activeTab: legacyIds.has(data.activeTab) ? UNGROUPED_TAB_ID : data.activeTab,
+  };
+};
+
+/**
+ * Migration 3: makes sure every shortcut belongs to exactly one tab:
+ * drops references to missing shortcuts and duplicate references, puts
+ * shortcuts without a tab into Ungrouped (creating it if needed) and
+ * points the active tab at a tab that exists.
+ *
+ * @param {Object} data - Board data.
+ * @returns {Object} - Migrated data.
+ */
+const migrateOrphans = (data) => {
+  const shortcutIds = new Set(data.shortcuts.map(shortcut => shortcut.id));
+  const assigned = new Set();
+
+  const tabs = data.tabs.map((tab) => {
+    const shortcuts = (tab.shortcuts || []).filter((id) => {
+      if (!shortcutIds.has(id) || assigned.has(id)) return false;
+      assigned.add(id);
+      return true;
+    });
+    return { ...tab, shortcuts };
+  });
+
+  let ungroupedTab = tabs.find(isUngroupedTab);
+  if (!ungroupedTab) {
+    ungroupedTab = { id: UNGROUPED_TAB_ID, name: UNGROUPED_TAB_NAME, shortcuts: [] };
+    tabs.unshift(ungroupedTab);
+  }
+
+  data.shortcuts
+    .filter(shortcut => !assigned.has(shortcut.id))
+    .forEach(shortcut => ungroupedTab.shortcuts.push(shortcut.id));
+
+  const activeTab = tabs.some(tab => tab.id === data.activeTab) ? data.activeTab : UNGROUPED_TAB_ID;
+
+  return { shortcuts: data.shortcuts, tabs, activeTab };
+};
+
+/**
+ * Migration 4: like migration 3, but aware of folders. Each shortcut
+ * belongs to exactly one tab or folder: folders claim their contents
+ * before tabs claim anything, folders inside folders are dropped from
+ * the outer folder, and shortcuts left over go to Ungrouped.
+ *
+ * @param {Object} data - Board data.
+ * @returns {Object} - Migrated data.
+ */
+const migrateFolderContents = (data) => {
+  const byId = new Map(data.shortcuts.map(shortcut => [shortcut.id, shortcut]));
+  const assigned = new Set();
+  const claim = (ids, allowFolders) => (ids || []).filter((id) => {
+    if (!byId.has(id) || assigned.has(id)) return false;
+    if (!allowFolders && isFolder(byId.get(id))) return false;
+    assigned.add(id);
+    return true;
+  });
+
+  // Folders claim their contents before tabs claim anything
+  const shortcuts = data.shortcuts.map(shortcut => (isFolder(shortcut)
+    ? { ...shortcut, shortcuts: claim(shortcut.shortcuts, false) }
+    : shortcut));
+
+  const tabs = data.tabs.map(tab => ({ ...tab, shortcuts: claim(tab.shortcuts, true) }));
+
+  let ungroupedTab = tabs.find(isUngroupedTab);
+  if (!ungroupedTab) {
+    ungroupedTab = { id: UNGROUPED_TAB_ID, name: UNGROUPED_TAB_NAME, shortcuts: [] };
+    tabs.unshift(ungroupedTab);
+  }
+
+  shortcuts
+    .filter(shortcut => !assigned.has(shortcut.id))
+    .forEach(shortcut => ungroupedTab.shortcuts.push(shortcut.id));
+
+  const activeTab = tabs.some(tab => tab.id === data.activeTab) ? data.activeTab : UNGROUPED_TAB_ID;
+
+  return { shortcuts, tabs, activeTab };
+};
+
+/**
+ * Schema migrations in order. Each one takes and returns board data of
+ * the form { shortcuts, tabs, activeTab } and must not touch storage.
+ */
+const MIGRATIONS = [
+  { version: 1, migrate: migrateUniqueIds },
+  { version: 2, migrate: migrateUngroupedTabId },
+  { version: 3, migrate: migrateOrphans },
+  { version: 4, migrate: migrateFolderContents },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Brings board data from an older schema version up to SCHEMA_VERSION.
+ *
+ * @param {Object} data - Board data.
+ * @param {number} fromVersion - Schema version the data was written with.
+ * @returns {Object} - Migrated data.
+ */
+const migrateData = (data, fromVersion) => MIGRATIONS
+  .filter(migration => migration.version > fromVersion)
+  .reduce((current, migration) => migration.migrate(current), data);
+
+/**
+ * Makes sure every shortcut belongs to exactly one tab or folder and the
+ * active tab exists. Runs on every load, since other pages and sync can
+ * write boards this page has not checked, using the latest structural
+ * migration.
+ *
+ * @param {{shortcuts: Object[], tabs: Object[], activeTab: ?string}} data - Board data.
+ * @param {function(string): boolean} isGeneratedTab - Recognises tabs the
+ *   page generates (like Frequent), which may stay active although they
+ *   are not in data.tabs.
+ * @returns {{shortcuts: Object[], tabs: Object[], activeTab: ?string}} - Repaired data.
+ */
+const repairBoard = (data, isGeneratedTab = () => false) => {
+  const repaired = migrateFolderContents(data);
+  return isGeneratedTab(data.activeTab) ? { ...repaired, activeTab: data.activeTab } : repaired;
+};
+
+// ——— IMPORTED LINKS ———
+
+/**
+ * Names a tab for each folder path, using as few of the innermost folder
+ * names as keep it apart from the other paths: "Work / Docs" and
+ * "Personal / Docs" when both exist, just "Docs" otherwise.
+ *
+ * @param {string[][]} paths - Folder names, outermost first.
+ * @returns {Map<string, string>} - Tab name by path joined with "\n".
+ */
+const nameFolderTabs = (paths) => {
+  const distinct = [...new Map(paths.map(path => [path.join('\n'), path])).values()];
+  const suffix = (path, length) => path.slice(-length).join('\n');
+  const names = new Map();
+
+  distinct.forEach((path) => {
+    let length = 1;
+    const isShared = () => distinct.some(other => other !== path && suffix(other, length) === suffix(path, length));
+    while (length < path.length && isShared()) length += 1;
+    names.set(path.join('\n'), path.slice(-length).join(' / '));
+  });
+  return names;
+};
+
+/**
+ * Collects imported links into the same shape validateBackup() returns,
+ * creating one tab per folder. Links without a folder go to "Ungrouped".
+ * Non-web URLs (bookmarklets, browser-internal pages) are dropped.
+ *
+ * @param {Array<{name: string, url: string, folder: ?(string|string[]), icon: ?string}>} links -
+ *   Imported links. A folder is a name, or a path of names, outermost first.
+ * @returns {Object} - Import data accepted by planImport().
+ */
+const buildImportData = (links) => {
+  const shortcuts = [];
+  const tabs = [];
+  const favicons = {};
+
+  const pathOf = folder => [].concat(folder || [])
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  const tabNames = nameFolderTabs(links.map(link => pathOf(link.folder)));
+
+  links.forEach(({ name, url, folder, icon }) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return;
+
+    const tabName = tabNames.get(pathOf(folder).join('\n')) || UNGROUPED_TAB_NAME;
+    let tab = tabs.find(t => t.name === tabName);
+    if (!tab) {
+      const id = tabName === UNGROUPED_TAB_NAME ? UNGROUPED_TAB_ID : generateId();
+      tab = { id, name: tabName, shortcuts: [] };
+      tabs.push(tab);
+    }
+
+    const id = generateId();
+    shortcuts.push({ id, name: (name || '').trim() || parsed.hostname, url: parsed.href });
+    tab.shortcuts.push(id);
+
+    if (icon && icon.startsWith('data:image/') && !favicons[parsed.hostname]) {
+      favicons[parsed.hostname] = icon;
+    }
+  });
+
+  return { shortcuts, tabs, activeTab: null, settings: {}, favicons };
+};
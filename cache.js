@@ -0,0 +1,80 @@
+/**
+ * Eclipse New Tab - Icon and thumbnail caches
+ *
+ * Storage layout of the caches the background worker fills and the new
+ * tab page reads. Each cache lists its entries under an index key, so
+ * finding them never means loading all of storage (and every thumbnail
+ * in it). Only the background worker writes these indexes; the page
+ * keeps one the same way for uploaded icon images.
+ */
+
+const FAVICON_PREFIX = 'favicon_';
+const FAVICON_INDEX_KEY = 'faviconIndex';
+const FAVICON_CACHE_BYTES = 1024 * 1024;
+
+const THUMBNAIL_PREFIX = 'thumbnail_';
+const THUMBNAIL_INDEX_KEY = 'thumbnailIndex';
+const THUMBNAIL_CACHE_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Builds the storage key of a host's cached icon.
+ *
+ * @param {string} host - Hostname.
+ * @returns {string} - Storage key.
+ */
+const faviconKey = host => `${FAVICON_PREFIX}${host}`;
+
+/**
+ * Builds the storage key of a page's thumbnail. Fragments and trailing
+ * slashes are ignored so a visit matches the shortcut it came from.
+ *
+ * @param {string} pageUrl - URL of the page.
+ * @returns {?string} - Storage key, or null for invalid URLs.
+ */
+const thumbnailKey = (pageUrl) => {
+  try {
+    const url = new URL(pageUrl);
+    return `${THUMBNAIL_PREFIX}${url.origin}${url.pathname.replace(/\/$/, '')}${url.search}`;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads a cache index: the size and storage time of each entry by key.
+ * Storage written before the index existed is scanned instead, until the
+ * worker writes the index.
+ *
+ * @param {string} indexKey - Storage key of the index.
+ * @param {string} prefix - Prefix of the entry keys.
+ * @returns {Promise<Object<string, {bytes: number, storedAt: number}>>}
+ */
+const readCacheIndex = async (indexKey, prefix) => {
+  const { [indexKey]: index } = await chrome.storage.local.get(indexKey);
+  if (index) return index;
+
+  const stored = await chrome.storage.local.get(null);
+  const scanned = {};
+  Object.keys(stored).filter(key => key.startsWith(prefix)).forEach((key) => {
+    const entry = stored[key];
+    scanned[key] = typeof entry === 'string'
+      ? { bytes: entry.length, storedAt: 0 }
+      : {
+        bytes: entry && entry.src ? entry.src.length : 0,
+        storedAt: (entry && (entry.fetchedAt || entry.capturedAt)) || 0,
+      };
+  });
+  return scanned;
+};
+
+/**
+ * Lists the storage keys that may hold a cached icon: those in the index
+ * and those of the given hosts, which the page may have written itself.
+ *
+ * @param {Iterable<string>} hosts - Hostnames of saved shortcuts.
+ * @returns {Promise<string[]>} - Storage keys; some may hold nothing.
+ */
+const getFaviconKeys = async (hosts) => {
+  const index = await readCacheIndex(FAVICON_INDEX_KEY, FAVICON_PREFIX);
+  return [...new Set([...Object.keys(index), ...[...hosts].map(faviconKey)])];
+};
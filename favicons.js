@@ -0,0 +1,222 @@
+/**
+ * Eclipse New Tab - Favicon resolver
+ *
+ * Finds the best icon for a page over the network. Loaded by the
+ * background worker; storing icons and retrying failures is up to it.
+ */
+
+const FAVICON_MAX_BYTES = 256 * 1024;
+const FAVICON_GOOD_SIZE = 128; // Stop looking once an icon is at least this large
+const FAVICON_MAX_CANDIDATES = 6;
+const FETCH_TIMEOUT_MS = 10000;
+
+// Chrome's answer for pages it has no icon for, once asked
+let defaultFavicon = null;
+
+/**
+ * Fetches a URL, giving up after a timeout.
+ *
+ * @param {string} url - URL to fetch.
+ * @param {Object} options - Options for fetch().
+ * @param {number} timeout - Milliseconds to wait for a response.
+ * @returns {Promise<Response>}
+ */
+const fetchWithTimeout = async (url, options = {}, timeout = FETCH_TIMEOUT_MS) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Reads the attributes of a single HTML start tag.
+ *
+ * @param {string} tag - Tag source, e.g. `<link rel="icon" href="/a.png">`.
+ * @returns {Object<string, string>} - Attribute values by lower-case name.
+ */
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([^\s"'=<>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  for (const match of tag.replace(/^<\w+/, '').matchAll(pattern)) {
+    const value = match[2] || match[3] || match[4] || '';
+    attributes[match[1].toLowerCase()] = value.replace(/&amp;/g, '&').trim();
+  }
+  return attributes;
+};
+
+/**
+ * Turns a `sizes` value into the largest edge it declares. Scalable
+ * icons count as large; icons without sizes count as unknown (0).
+ *
+ * @param {string} sizes - Value like "16x16 32x32" or "any".
+ * @returns {number} - Largest declared edge in pixels.
+ */
+const declaredSize = (sizes) => {
+  if (!sizes) return 0;
+  if (/\bany\b/i.test(sizes)) return FAVICON_GOOD_SIZE;
+  return Math.max(0, ...sizes.split(/\s+/).map(size => parseInt(size, 10) || 0));
+};
+
+/**
+ * Finds icons declared by a page: `<link rel=icon>`, Apple touch icons
+ * and the icons of its web app manifest.
+ *
+ * @param {string} pageUrl - URL of the page.
+ * @returns {Promise<Array<{url: string, size: number}>>} - Declared icons.
+ */
+const findDeclaredIcons = async (pageUrl) => {
+  const response = await fetchWithTimeout(pageUrl);
+  const type = response.headers.get('content-type') || '';
+  if (!response.ok || !type.includes('html')) return [];
+
+  const html = await response.text();
+  const baseUrl = response.url || pageUrl;
+  const icons = [];
+  let manifestUrl = null;
+
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    if (!attributes.href) continue;
+
+    let href;
+    try {
+      href = new URL(attributes.href, baseUrl).href;
+    } catch {
+      continue;
+    }
+
+    if (rel.includes('manifest')) {
+      manifestUrl = manifestUrl || href;
+    } else if (rel.includes('icon')) {
+      icons.push({ url: href, size: declaredSize(attributes.sizes) });
+    } else if (rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed')) {
+      // Apple touch icons are 180px unless they say otherwise
+      icons.push({ url: href, size: declaredSize(attributes.sizes) || 180 });
+    }
+  }
+
+  if (manifestUrl) {
+    try {
+      const manifest = await (await fetchWithTimeout(manifestUrl)).json();
+      (Array.isArray(manifest.icons) ? manifest.icons : []).forEach((icon) => {
+        if (icon && typeof icon.src === 'string') {
+          icons.push({ url: new URL(icon.src, manifestUrl).href, size: declaredSize(icon.sizes) });
+        }
+      });
+    } catch {
+      // A broken manifest still leaves the page's own icons
+    }
+  }
+
+  return icons;
+};
+
+/**
+ * Encodes binary data as base64.
+ *
+ * @param {ArrayBuffer} buffer - Data to encode.
+ * @returns {string} - Base64 text.
+ */
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Downloads an icon and checks that it is a usable image.
+ *
+ * @param {string} url - Icon URL.
+ * @param {number} size - Size the page declared for it, used when the
+ *   image cannot be measured.
+ * @returns {Promise<?{dataUrl: string, size: number}>} - The icon, or null
+ *   if it is missing, too large or not an image.
+ */
+const loadIcon = async (url, size = 0) => {
+  const response = await fetchWithTimeout(url);
+  if (!response.ok) return null;
+
+  const blob = await response.blob();
+  // Servers often send /favicon.ico without an image type
+  const type = blob.type.startsWith('image/') ? blob.type
+    : /\.ico(\?|$)/i.test(url) ? 'image/x-icon' : '';
+  if (!type || !blob.size || blob.size > FAVICON_MAX_BYTES) return null;
+
+  let width = size;
+  if (!type.includes('svg') && typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(blob);
+      width = Math.min(bitmap.width, bitmap.height);
+      bitmap.close();
+    } catch {
+      return null;
+    }
+  }
+
+  return { dataUrl: `data:${type};base64,${toBase64(await blob.arrayBuffer())}`, size: width };
+};
+
+/**
+ * Asks Chrome's built-in favicon service for a page's icon. The service
+ * answers with a generic globe for pages it has never seen, so that
+ * answer is treated as missing.
+ *
+ * @param {string} pageUrl - URL of the page.
+ * @returns {Promise<?{dataUrl: string, size: number}>} - The icon or null.
+ */
+const loadChromeFavicon = async (pageUrl) => {
+  const serviceUrl = (url) => {
+    const address = new URL(chrome.runtime.getURL('/_favicon/'));
+    address.searchParams.set('pageUrl', url);
+    address.searchParams.set('size', '64');
+    return address.href;
+  };
+
+  if (!defaultFavicon) {
+    defaultFavicon = loadIcon(serviceUrl('https://example.invalid/')).catch(() => null);
+  }
+
+  const [icon, fallback] = await Promise.all([loadIcon(serviceUrl(pageUrl)), defaultFavicon]);
+  return icon && (!fallback || icon.dataUrl !== fallback.dataUrl) ? icon : null;
+};
+
+/**
+ * Finds the best icon for a page. Chrome's favicon service is asked
+ * first, then the icons the page and its manifest declare (largest
+ * first), and /favicon.ico only when nothing else worked. The largest
+ * usable icon wins.
+ *
+ * @param {string} pageUrl - URL of the page.
+ * @returns {Promise<?{dataUrl: string, size: number}>} - The icon or null.
+ */
+const findFavicon = async (pageUrl) => {
+  let best = null;
+  const consider = (icon) => {
+    if (icon && (!best || icon.size > best.size)) best = icon;
+    return Boolean(best && best.size >= FAVICON_GOOD_SIZE);
+  };
+
+  if (consider(await loadChromeFavicon(pageUrl).catch(() => null))) return best;
+
+  const declared = await findDeclaredIcons(pageUrl).catch(() => []);
+  const candidates = declared
+    .filter((icon, i) => declared.findIndex(other => other.url === icon.url) === i)
+    .sort((a, b) => b.size - a.size)
+    .slice(0, FAVICON_MAX_CANDIDATES);
+  for (const candidate of candidates) {
+    if (consider(await loadIcon(candidate.url, candidate.size).catch(() => null))) return best;
+  }
+
+  if (!best) {
+    consider(await loadIcon(new URL('/favicon.ico', pageUrl).href).catch(() => null));
+  }
+
+  return best;
+};
@@ -0,0 +1,60 @@
+/**
+ * Eclipse New Tab - Link health probe
+ *
+ * Checks whether a shortcut URL still works. Loaded by the background
+ * worker after favicons.js, whose fetchWithTimeout it uses; storing the
+ * results is up to the worker.
+ */
+
+/**
+ * Compares two hosts, ignoring a leading "www.".
+ *
+ * @param {string} a - Hostname.
+ * @param {string} b - Hostname.
+ * @returns {boolean}
+ */
+const isSameSite = (a, b) => a.replace(/^www\./, '') === b.replace(/^www\./, '');
+
+/**
+ * Probes a shortcut URL with HEAD, falling back to GET for servers that
+ * reject or mishandle HEAD.
+ *
+ * @param {string} pageUrl - URL to probe.
+ * @param {number} timeout - Milliseconds to wait for each request.
+ * @returns {Promise<{status: string, reason: ?string, location: ?string}>} -
+ *   Status "ok", "broken" (no connection, timeout or an HTTP error) or
+ *   "redirected" (to another host, given as location).
+ */
+const probeUrl = async (pageUrl, timeout = FETCH_TIMEOUT_MS) => {
+  let response = null;
+  try {
+    response = await fetchWithTimeout(pageUrl, { method: 'HEAD' }, timeout);
+  } catch {
+    // Try again with GET
+  }
+
+  if (!response || !response.ok) {
+    try {
+      response = await fetchWithTimeout(pageUrl, {}, timeout);
+      // Only the status matters
+      if (response.body) response.body.cancel().catch(() => {});
+    } catch (err) {
+      return {
+        status: 'broken',
+        reason: err.name === 'AbortError' ? 'Timed out' : 'Could not connect (DNS or network error)',
+        location: null,
+      };
+    }
+  }
+
+  if (response.status >= 400) {
+    return { status: 'broken', reason: `HTTP ${response.status}`, location: null };
+  }
+
+  const finalHost = new URL(response.url || pageUrl).hostname;
+  if (response.redirected && !isSameSite(finalHost, new URL(pageUrl).hostname)) {
+    return { status: 'redirected', reason: `Redirects to ${finalHost}`, location: response.url };
+  }
+
+  return { status: 'ok', reason: null, location: null };
+};
@@ -17,8 +17,87 @@ const STORAGE_KEYS = {
   IPIFY_KEY: 'ipifyKey',
   TABS: 'tabs',
   ACTIVE_TAB: 'activeTab',
+  SYNC_ENABLED: 'syncEnabled',
+  SYNC_API_KEYS: 'syncApiKeys',
+  SYNC_META: 'syncMeta',
+  REVISION: 'boardRevision',
+  SCHEMA_VERSION: 'schemaVersion',
+  TRASH: 'trash',
+  TRASH_RETENTION_DAYS: 'trashRetentionDays',
+  DEFAULT_OPEN_IN: 'defaultOpenIn',
+  TILE_STYLE: 'tileStyle',
+  USAGE: 'shortcutUsage',
+  SHOW_FREQUENT_TAB: 'showFrequentTab',
+  SITE_TABS: 'siteTabs',
+  EXCLUDED_DOMAINS: 'excludedDomains',
+  HEALTH: 'shortcutHealth',
+  STRIP_TRACKING: 'stripTrackingParams',
 };
 
+// Ways a shortcut can be opened, with their labels
+const OPEN_MODES = {
+  sameTab: 'Same tab',
+  newTab: 'New tab',
+  background: 'Background tab',
+  newWindow: 'New window',
+  incognito: 'Incognito window',
+};
+
+// Orders a tab can show its shortcuts in, with their labels
+const SORT_MODES = {
+  manual: 'Manual (drag to arrange)',
+  alphabetical: 'Alphabetical',
+  mostUsed: 'Most used',
+  recent: 'Recently used',
+};
+
+// Clicks count half as much after this long
+const USAGE_HALF_LIFE_MS = 14 * 24 * 60 * 60 * 1000;
+
+// The generated tab of most used shortcuts; it is never stored in state.tabs
+const FREQUENT_TAB_ID = 'frequent';
+const FREQUENT_TAB_NAME = 'Frequent';
+const FREQUENT_TAB_SIZE = 12;
+const FREQUENT_MIN_SCORE = 0.1;
+
+// Read-only tabs filled from Chrome's top sites and history, by ID
+const SITE_TABS = {
+  topSites: 'Top sites',
+  recent: 'Recent history',
+};
+// Optional permission each site tab needs, asked for when it is turned on
+const SITE_TAB_PERMISSIONS = {
+  topSites: 'topSites',
+  recent: 'history',
+};
+const SITE_TAB_SIZE = 24;
+
+// How shortcut tiles look: the site's icon, or a screenshot of the site
+const TILE_STYLES = ['icon', 'thumbnail'];
+
+// Chrome tab group colors, with the shades Chrome's dark theme uses
+const TAB_COLORS = {
+  grey: '#dadce0',
+  blue: '#8ab4f8',
+  red: '#f28b82',
+  yellow: '#fdd663',
+  green: '#81c995',
+  pink: '#ff8bcb',
+  purple: '#c58af9',
+  cyan: '#78d9ec',
+  orange: '#fcad70',
+};
+
+// Shown icons are marked as used at most this often
+const FAVICON_TOUCH_MS = 60 * 60 * 1000;
+
+// Identifies exported backup documents; bump the version when the layout changes
+const BACKUP_FORMAT = 'eclipse-new-tab-backup';
+const BACKUP_VERSION = 1;
+
+// Web Lock held while a page checks boardRevision and writes the board
+const BOARD_LOCK = 'board';
+
 // ——— DOM ELEMENT REFERENCES ———
 const elements = {
   // Shortcuts
@@ -33,6 +112,27 @@ const elements = {
   deleteBtn: document.getElementById('deleteBtn'),
   nameInput: document.getElementById('siteName'),
   urlInput: document.getElementById('siteURL'),
+  keywordLabel: document.querySelector('label[for="siteKeyword"]'),
+  keywordInput: document.getElementById('siteKeyword'),
+  searchUrlLabel: document.querySelector('label[for="siteSearchUrl"]'),
+  searchUrlInput: document.getElementById('siteSearchUrl'),
+  urlLabel: document.querySelector('label[for="siteURL"]'),
+  openInLabel: document.querySelector('label[for="openInSelect"]'),
+  openInSelect: document.getElementById('openInSelect'),
+  iconOptions: document.getElementById('iconOptions'),
+  refreshIconBtn: document.getElementById('refreshIconBtn'),
+  iconTypeSelect: document.getElementById('iconTypeSelect'),
+  iconPreview: document.getElementById('iconPreview'),
+  iconFileInput: document.getElementById('iconFileInput'),
+  iconUrlInput: document.getElementById('iconUrlInput'),
+  iconEmojiInput: document.getElementById('iconEmojiInput'),
+  iconTextInput: document.getElementById('iconTextInput'),
+  iconColorInput: document.getElementById('iconColorInput'),
+
+  // Folder Popover
+  folderPopover: document.getElementById('folderPopover'),
+  folderTitle: document.getElementById('folderTitle'),
+  folderGrid: document.getElementById('folderGrid'),
   
   // Customize Modal
   customizeBtn: document.getElementById('customizeBtn'),
@@ -46,21 +146,61 @@ const elements = {
   settingsBtn: document.getElementById('settingsBtn'),
   settingsModal: document.getElementById('settingsModal'),
   ipifyKeyInput: document.getElementById('ipifyKeyInput'),
+  defaultOpenInSelect: document.getElementById('defaultOpenInSelect'),
+  tileStyleSelect: document.getElementById('tileStyleSelect'),
+  showFrequentTabInput: document.getElementById('showFrequentTabInput'),
+  showTopSitesInput: document.getElementById('showTopSitesInput'),
+  showRecentInput: document.getElementById('showRecentInput'),
+  excludedDomainsInput: document.getElementById('excludedDomainsInput'),
+  stripTrackingInput: document.getElementById('stripTrackingInput'),
+  healthReport: document.getElementById('healthReport'),
+  healthStatus: document.getElementById('healthStatus'),
+  checkHealthBtn: document.getElementById('checkHealthBtn'),
   saveSettingsBtn: document.getElementById('saveSettingsBtn'),
   cancelSettingsBtn: document.getElementById('cancelSettingsBtn'),
   resetFaviconsBtn: document.getElementById('resetFaviconsBtn'),
-  
+  faviconCacheStatus: document.getElementById('faviconCacheStatus'),
+  exportBackupBtn: document.getElementById('exportBackupBtn'),
+  importBackupBtn: document.getElementById('importBackupBtn'),
+  importFileInput: document.getElementById('importFileInput'),
+  importPreview: document.getElementById('importPreview'),
+  importSummary: document.getElementById('importSummary'),
+  importMergeBtn: document.getElementById('importMergeBtn'),
+  importReplaceBtn: document.getElementById('importReplaceBtn'),
+  importCancelBtn: document.getElementById('importCancelBtn'),
+  syncEnabledInput: document.getElementById('syncEnabledInput'),
+  syncApiKeysInput: document.getElementById('syncApiKeysInput'),
+  syncStatus: document.getElementById('syncStatus'),
+  trashList: document.getElementById('trashList'),
+  trashRetentionInput: document.getElementById('trashRetentionInput'),
+  emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+
+  // Selection Bar
+  selectionBar: document.getElementById('selectionBar'),
+  selectionCount: document.getElementById('selectionCount'),
+  bulkMoveSelect: document.getElementById('bulkMoveSelect'),
+  bulkOpenBtn: document.getElementById('bulkOpenBtn'),
+  bulkCopyBtn: document.getElementById('bulkCopyBtn'),
+  bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+  clearSelectionBtn: document.getElementById('clearSelectionBtn'),
+
   // Search
   searchForm: document.getElementById('searchForm'),
   searchIcon: document.getElementById('searchIcon'),
   searchInput: document.getElementById('searchInput'),
   suggestionsList: document.getElementById('suggestions'),
+  searchSiteChip: document.getElementById('searchSiteChip'),
   searchContainer: document.querySelector('.search-container'),
   
   // IP Info
   ipAddress: document.getElementById('ipAddress'),
   location: document.getElementById('location'),
 
+  // Toast
+  toast: document.getElementById('toast'),
+  toastMessage: document.getElementById('toastMessage'),
+  toastAction: document.getElementById('toastAction'),
+
   // Tabs
   tabsContainer: null, // Will be created dynamically
   addTabBtn: null,     // Will be created dynamically
@@ -72,12 +212,32 @@ const state = {
   searchQuery: 'nature background',
   ipifyKey: '',
   isEditing: false,
-  currentElement: null,
+  currentShortcutId: null,
+  shortcuts: new Map(),
   selectedIndex: -1,
+  searchSiteId: null, // Shortcut searched by the search box, after Tab on its keyword
   draggedItem: null,
+  openFolderId: null,
+  selectedShortcutIds: new Set(),
+  selectionAnchorId: null,
   tabs: [],
   activeTabId: null,
   currentTabId: null,
+  pendingImport: null,
+  syncEnabled: false,
+  syncApiKeys: false,
+  revision: 0,
+  trash: [],
+  trashRetentionDays: 30,
+  defaultOpenIn: 'sameTab',
+  tileStyle: 'icon',
+  usage: {}, // Decayed click counts by shortcut ID
+  showFrequentTab: false,
+  siteTabs: [], // IDs of the SITE_TABS that are shown
+  excludedDomains: [], // Domains left out of the site tabs
+  health: {}, // Link check results by URL, written by the background worker
+  stripTracking: false, // Remove tracking parameters from saved URLs
+  pendingIconImage: null,
 };
 
 // ——— UTILITY FUNCTIONS ———
@@ -110,50 +270,571 @@ const getStorageValue = async (key, defaultValue) => {
 };
 
 /**
- * Sets a value in chrome.storage.local.
+ * Runs a task that reads boardRevision and writes the board, while no
+ * other page of the extension runs one. Web Locks are shared by every
+ * page of the extension, so two pages saving at once take turns instead
+ * of both passing the revision check.
+ *
+ * @param {Function} task - Async function that checks and writes.
+ * @returns {Promise<*>} - Whatever `task` returns.
+ */
+const withBoardLock = task => navigator.locks.request(BOARD_LOCK, task);
+
+/**
+ * Sets a value in chrome.storage.local. Shortcuts, tabs and synced
+ * settings are stamped with their modification time and, when sync is
+ * enabled, pushed to chrome.storage.sync shortly afterwards.
+ *
+ * Shortcuts and tabs are only written if no other page has changed them
+ * since this page loaded them; otherwise the change is dropped with a
+ * message and the page is refreshed, so it cannot overwrite newer data.
+ * The check and the write happen under the board lock.
  *
  * @param {string} key - Storage key.
  * @param {*} value - Value to store.
  * @returns {Promise<void>}
  */
 const setStorageValue = async (key, value) => {
-  await chrome.storage.local.set({ [key]: value });
+  let changed = false;
+
+  if (key === STORAGE_KEYS.SHORTCUTS || key === STORAGE_KEYS.TABS) {
+    const written = await withBoardLock(async () => {
+      const revision = await getStorageValue(STORAGE_KEYS.REVISION, 0);
+      if (revision !== state.revision) return null;
+
+      const stamped = await stampItems(key, value);
+      state.revision = revision + 1;
+      await chrome.storage.local.set({ [key]: stamped.items, [STORAGE_KEYS.REVISION]: state.revision });
+      return stamped;
+    });
+    if (!written) {
+      handleStaleBoard();
+      return;
+    }
+    ({ changed } = written);
+  } else {
+    if (SYNCED_SETTINGS.includes(key)) {
+      changed = await stampSetting(key, value);
+    }
+    await chrome.storage.local.set({ [key]: value });
+  }
+
+  if (changed) {
+    scheduleSyncPush();
+  }
+};
+
+/**
+ * Builds a comparison key for a URL so that trivially different spellings
+ * of the same address (host case, trailing slash) are treated as equal.
+ *
+ * @param {string} url - The URL to normalize.
+ * @returns {string} - Comparison key.
+ */
+const urlKey = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.href.replace(/\/$/, '');
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+};
+
+// ——— URL CHECKS ———
+
+// Query parameters that only record where a visit came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$/i;
+
+// How long to wait for a page's title before naming a shortcut after its host
+const TITLE_FETCH_TIMEOUT_MS = 5000;
+
+/**
+ * Checks and tidies a URL typed for a shortcut. Adds https:// when no
+ * scheme is given. Hosts come back lowercase and in punycode, and a bare
+ * domain loses its trailing slash.
+ *
+ * @param {string} input - URL as typed.
+ * @param {boolean} stripTracking - Remove parameters such as utm_source.
+ * @returns {string} - The normalized URL.
+ * @throws {Error} - If the input is not a web address.
+ */
+const normalizeUrl = (input, stripTracking = false) => {
+  let url = input.trim();
+
+  // "localhost:3000" is a host and port, not a scheme
+  const scheme = url.match(/^([a-z][a-z\d+.-]*):(?!\d)/i);
+  if (scheme && !/^https?$/i.test(scheme[1])) {
+    throw new Error(`Only web addresses can be saved, not ${scheme[1]}: links`);
+  }
+  if (!scheme) {
+    url = `https://${url}`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Enter a web address, such as example.com');
+  }
+
+  // A single word without a scheme is more likely a typo than an intranet host
+  const host = parsed.hostname;
+  if (!scheme && !host.includes('.') && host !== 'localhost' && !host.startsWith('[')) {
+    throw new Error('Enter a web address, such as example.com');
+  }
+
+  if (stripTracking) {
+    const tracking = [...parsed.searchParams.keys()].filter(param => TRACKING_PARAMS.test(param));
+    tracking.forEach(param => parsed.searchParams.delete(param));
+  }
+
+  if (parsed.pathname === '/' && !parsed.search && !parsed.hash) {
+    return parsed.href.replace(/\/$/, '');
+  }
+  return parsed.href;
+};
+
+/**
+ * Finds another shortcut that opens the same address.
+ *
+ * @param {string} url - The URL.
+ * @param {?string} exceptId - Shortcut to leave out, such as the one being edited.
+ * @returns {?Object} - The shortcut or null.
+ */
+const findDuplicateShortcut = (url, exceptId = null) => {
+  const key = urlKey(url);
+  return [...state.shortcuts.values()]
+    .find(shortcut => shortcut.id !== exceptId && !isFolder(shortcut) && urlKey(shortcut.url) === key) || null;
+};
+
+/**
+ * Describes where a shortcut is, for messages.
+ *
+ * @param {Object} shortcut - The shortcut.
+ * @returns {string} - E.g. 'the folder "Docs" in the "Work" tab'.
+ */
+const describeShortcutLocation = (shortcut) => {
+  const tab = getTabOfShortcut(shortcut.id);
+  const folder = getFolderOfShortcut(shortcut.id);
+  const tabText = tab ? `the "${tab.name}" tab` : 'another tab';
+  return folder ? `the folder "${folder.name}" in ${tabText}` : tabText;
+};
+
+/**
+ * Looks up the title of a web page.
+ *
+ * @param {string} url - Page URL.
+ * @returns {Promise<?string>} - The title, or null if the page could not
+ *   be loaded in time or has none.
+ */
+const fetchPageTitle = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TITLE_FETCH_TIMEOUT_MS);
+  try {
+    const resp = await fetch(url, { signal: controller.signal });
+    if (!resp.ok || !/html/i.test(resp.headers.get('content-type') || '')) return null;
+
+    const doc = new DOMParser().parseFromString(await resp.text(), 'text/html');
+    return doc.title.trim() || null;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// ——— CUSTOM ICONS ———
+
+// Uploaded images are scaled down to fit this many pixels on each side
+const ICON_IMAGE_SIZE = 64;
+
+// Uploaded images stay on this device under iconImage_<id>; the synced
+// shortcut only names the image, keeping the board within sync's quota
+const ICON_IMAGE_PREFIX = 'iconImage_';
+const ICON_IMAGE_INDEX_KEY = 'iconImageIndex';
+// Another open page may store an image before its shortcut reaches this one
+const ICON_IMAGE_GRACE_MS = 60 * 60 * 1000;
+
+let iconImageQueue = Promise.resolve();
+
+/**
+ * Picks a color for a letter avatar from a seed such as a hostname, so
+ * the same site always gets the same color.
+ *
+ * @param {string} seed - Hostname or name.
+ * @returns {string} - CSS color.
+ */
+const avatarColor = (seed) => {
+  let hash = 0;
+  [...seed].forEach((ch) => {
+    hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  });
+  return `hsl(${hash % 360}, 45%, 38%)`;
+};
+
+/**
+ * Reads an image file and scales it down to fit ICON_IMAGE_SIZE, so it
+ * can be stored as a small data URL.
+ *
+ * @param {File} file - The chosen image file.
+ * @returns {Promise<string>} - WebP data URL.
+ */
+const resizeImage = file => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onerror = () => reject(new Error('Could not read the file'));
+  reader.onload = () => {
+    const img = new Image();
+    img.onerror = () => reject(new Error('The file is not an image'));
+    img.onload = () => {
+      const scale = Math.min(1, ICON_IMAGE_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/webp', 0.9));
+    };
+    img.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Reads the image of an uploaded icon. Icons saved before images were
+ * kept apart, and uploads not saved yet, carry the image as `src`.
+ *
+ * @param {Object} icon - Icon of type "image".
+ * @returns {Promise<?string>} - Data URL, or null if this device does not
+ *   have the image (it was uploaded on another device).
+ */
+const getIconImage = async (icon) => {
+  if (icon.src) return icon.src;
+  if (!icon.image) return null;
+  const key = `${ICON_IMAGE_PREFIX}${icon.image}`;
+  return (await chrome.storage.local.get(key))[key] || null;
+};
+
+/**
+ * Runs a change to the stored images and their index after the ones
+ * before it.
+ *
+ * @param {Function} task - Async function that receives the index by
+ *   storage key and changes it in place, along with storage.
+ * @returns {Promise<void>}
+ */
+const updateIconImages = (task) => {
+  const run = iconImageQueue.then(async () => {
+    const index = await readCacheIndex(ICON_IMAGE_INDEX_KEY, ICON_IMAGE_PREFIX);
+    await task(index);
+    await chrome.storage.local.set({ [ICON_IMAGE_INDEX_KEY]: index });
+  });
+  iconImageQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Checks whether an icon carries its image data: an upload not saved yet,
+ * or a data URL saved by an older version as an image address.
+ *
+ * @param {?Object} icon - Shortcut icon.
+ * @returns {boolean}
+ */
+const carriesIconImage = icon => Boolean(icon && icon.src
+  && (icon.type === 'image' || /^data:/i.test(icon.src)));
+
+/**
+ * Moves the image of an uploaded icon into local-only storage.
+ *
+ * @param {?Object} icon - Icon about to be saved.
+ * @returns {Promise<?Object>} - The icon, naming its image instead of
+ *   carrying it.
+ */
+const storeIconImage = async (icon) => {
+  if (!carriesIconImage(icon)) return icon;
+
+  const image = generateId();
+  const key = `${ICON_IMAGE_PREFIX}${image}`;
+  await updateIconImages(async (index) => {
+    index[key] = { bytes: icon.src.length, storedAt: Date.now() };
+    await chrome.storage.local.set({ [key]: icon.src });
+  });
+  return { type: 'image', image };
+};
+
+/**
+ * Moves images still stored inside shortcuts, by older versions or by
+ * an imported backup, into local-only storage.
+ *
+ * @returns {Promise<boolean>} - True if any shortcut changed.
+ */
+const storeIconImages = async () => {
+  const carrying = [...state.shortcuts.values()].filter(s => carriesIconImage(s.icon));
+  for (const shortcut of carrying) {
+    state.shortcuts.set(shortcut.id, { ...shortcut, icon: await storeIconImage(shortcut.icon) });
+  }
+  return carrying.length > 0;
+};
+
+/**
+ * Deletes stored images that no shortcut, trashed shortcut or undo step
+ * uses any more, sparing images stored within ICON_IMAGE_GRACE_MS.
+ *
+ * @returns {Promise<void>}
+ */
+const pruneIconImages = async () => {
+  const used = new Set();
+  const collect = (shortcuts) => {
+    (shortcuts || []).forEach((shortcut) => {
+      if (shortcut && shortcut.icon && shortcut.icon.image) {
+        used.add(`${ICON_IMAGE_PREFIX}${shortcut.icon.image}`);
+      }
+    });
+  };
+
+  collect([...state.shortcuts.values()]);
+  state.trash.forEach(entry => collect([entry.shortcut, ...(entry.shortcuts || [])]));
+  [...commandHistory.undo, ...commandHistory.redo].forEach((command) => {
+    collect(command.before.shortcuts);
+    collect(command.after.shortcuts);
+  });
+
+  await updateIconImages(async (index) => {
+    const cutoff = Date.now() - ICON_IMAGE_GRACE_MS;
+    const unused = Object.keys(index).filter(key => !used.has(key) && index[key].storedAt < cutoff);
+    unused.forEach((key) => {
+      delete index[key];
+    });
+    if (unused.length) await chrome.storage.local.remove(unused);
+  });
+};
+
+/**
+ * Shows the icon inputs that belong to the chosen icon type.
+ */
+const showIconFields = () => {
+  const type = elements.iconTypeSelect.value;
+  document.querySelectorAll('.icon-field').forEach((field) => {
+    field.classList.toggle('hidden', field.dataset.iconType !== type);
+  });
+  // Only saved shortcuts have an icon to refresh
+  elements.refreshIconBtn.classList.toggle('hidden', type !== '' || !state.isEditing);
+};
+
+/**
+ * Fills the icon inputs of the shortcut modal from a shortcut's icon.
+ *
+ * @param {?Object} icon - The shortcut's custom icon, if any.
+ */
+const fillIconFields = (icon) => {
+  state.pendingIconImage = null;
+  elements.iconTypeSelect.value = icon ? icon.type : '';
+  elements.iconFileInput.value = '';
+  elements.iconUrlInput.value = icon && icon.type === 'url' ? icon.src : '';
+  elements.iconEmojiInput.value = icon && icon.type === 'emoji' ? icon.text : '';
+  elements.iconTextInput.value = icon && icon.type === 'monogram' ? icon.text : '';
+  elements.iconColorInput.value = icon && icon.type === 'monogram' ? icon.color : '#1a73e8';
+  showIconFields();
+};
+
+/**
+ * Builds a custom icon from the icon inputs of the shortcut modal.
+ * Throws an Error describing what is missing.
+ *
+ * @param {?Object} current - The icon the shortcut has now, kept when no
+ *   new image is uploaded.
+ * @returns {?Object} - The icon, or null to use the website's icon.
+ */
+const readIconFields = (current) => {
+  const type = elements.iconTypeSelect.value;
+
+  if (type === 'image') {
+    if (state.pendingIconImage) return { type, src: state.pendingIconImage };
+    if (!current || current.type !== 'image') throw new Error('Choose an image to upload');
+    return current;
+  }
+  if (type === 'url') {
+    const src = elements.iconUrlInput.value.trim();
+    // A pasted image is kept on this device like an upload
+    if (/^data:image\//i.test(src)) return { type: 'image', src };
+    if (!/^https?:/i.test(src)) throw new Error('Enter the address of an image');
+    return { type, src };
+  }
+  if (type === 'emoji') {
+    const [first] = new Intl.Segmenter().segment(elements.iconEmojiInput.value.trim());
+    if (!first) throw new Error('Enter an emoji');
+    return { type, text: first.segment };
+  }
+  if (type === 'monogram') {
+    const text = [...elements.iconTextInput.value.trim()].slice(0, 2).join('').toUpperCase();
+    if (!text) throw new Error('Enter one or two letters');
+    return { type, text, color: elements.iconColorInput.value };
+  }
+  return null;
+};
+
+/**
+ * Redraws the icon preview in the shortcut modal.
+ */
+const updateIconPreview = () => {
+  const shortcut = getShortcut(state.currentShortcutId);
+  let icon = null;
+  try {
+    icon = readIconFields(shortcut && shortcut.icon);
+  } catch {
+    // Incomplete input previews as the website's icon
+  }
+  let url = elements.urlInput.value.trim();
+  if (url && !/^https?:\/\//i.test(url)) {
+    url = `https://${url}`;
+  }
+
+  renderShortcutIcon(elements.iconPreview, {
+    name: elements.nameInput.value.trim() || '?',
+    url,
+    icon,
+  });
 };
 
 // ——— FAVICON MANAGEMENT ———
 
 /**
- * Gets the favicon URL for a given site URL.
+ * Reads the host of a site URL.
  *
  * @param {string} siteUrl - The full URL of the site.
- * @returns {Promise<?string>} - Favicon URL or null if not found.
+ * @returns {?string} - Hostname, or null for invalid URLs.
  */
-const getFaviconUrl = async (siteUrl) => {
+const getHostname = (siteUrl) => {
   try {
-    const host = new URL(siteUrl).hostname;
-    const key = `favicon_${host}`;
-    return await getStorageValue(key, null);
+    return new URL(siteUrl).hostname;
   } catch {
     return null;
   }
 };
 
 /**
- * Stores the favicon URL for a given site in chrome.storage.local.
+ * Reads the icon of a favicon cache entry. Older versions stored the
+ * icon URL itself.
+ *
+ * @param {*} entry - Stored favicon_<host> value.
+ * @returns {?string} - Icon URL or data URL.
+ */
+const faviconSrc = entry => (typeof entry === 'string' ? entry : (entry && entry.src) || null);
+
+/**
+ * Builds a favicon cache entry for an icon from a backup. Backups do not
+ * record when an icon was fetched, so it counts as expired and never
+ * shown: the worker fetches it again when it next prunes the cache, and
+ * it is evicted first until it is shown.
+ *
+ * @param {string} src - Icon URL or data URL.
+ * @returns {{src: string, bytes: number, fetchedAt: number, usedAt: number}}
+ */
+const makeImportedFaviconEntry = src => ({ src, bytes: src.length, fetchedAt: 0, usedAt: 0 });
+
+/**
+ * Gets the favicon URL for a given site URL, noting that it was shown so
+ * the cache evicts it last.
  *
  * @param {string} siteUrl - The full URL of the site.
- * @param {string} faviconUrl - The favicon URL to store.
- * @returns {Promise<void>}
+ * @returns {Promise<?string>} - Favicon URL or null if not found.
+ */
+const getFaviconUrl = async (siteUrl) => {
+  const host = getHostname(siteUrl);
+  if (!host) return null;
+
+  const key = faviconKey(host);
+  const entry = await getStorageValue(key, null);
+  if (entry && typeof entry === 'object' && Date.now() - entry.usedAt > FAVICON_TOUCH_MS) {
+    chrome.storage.local.set({ [key]: { ...entry, usedAt: Date.now() } });
+  }
+  return faviconSrc(entry);
+};
+
+/**
+ * Asks the background worker to resolve and store a site's favicon, so a
+ * new shortcut gets its icon without the site being visited first.
+ * Unless forced, the worker skips sites with a fresh icon or a pending
+ * retry.
+ *
+ * @param {string} siteUrl - The full URL of the site.
+ * @param {boolean} force - Fetch the icon again even if one is cached.
+ * @returns {Promise<boolean>} - Whether the site has an icon now.
  */
-const storeFavicon = async (siteUrl, faviconUrl) => {
+const requestFavicon = async (siteUrl, force = false) => {
   try {
-    const host = new URL(siteUrl).hostname;
-    await setStorageValue(`favicon_${host}`, faviconUrl);
+    const response = await chrome.runtime.sendMessage({ type: 'resolveFavicon', url: siteUrl, force });
+    return Boolean(response && response.resolved);
   } catch {
-    // Ignore invalid URLs
+    // The worker retries on its own schedule
+    return false;
   }
 };
 
+/**
+ * Requests the favicon of a shortcut shown without one, once per host
+ * while this page is open.
+ *
+ * @param {string} siteUrl - The full URL of the site.
+ */
+const requestMissingFavicon = (siteUrl) => {
+  const host = getHostname(siteUrl);
+  if (!host || requestedFavicons.has(host)) return;
+
+  requestedFavicons.add(host);
+  requestFavicon(siteUrl);
+};
+
+/**
+ * Lists the storage keys that may hold a cached icon for this board.
+ *
+ * @returns {Promise<string[]>} - Storage keys.
+ */
+const getBoardFaviconKeys = () => getFaviconKeys([...state.shortcuts.values()]
+  .map(shortcut => getHostname(shortcut.url))
+  .filter(Boolean));
+
+/**
+ * Measures the favicon cache.
+ *
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+const getFaviconCacheSize = async () => {
+  const stored = await chrome.storage.local.get(await getBoardFaviconKeys());
+  const entries = Object.values(stored);
+  return {
+    count: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + (faviconSrc(entry) || '').length, 0),
+  };
+};
+
+/**
+ * Shows the size of the favicon cache in the settings modal.
+ *
+ * @returns {Promise<void>}
+ */
+const updateFaviconCacheStatus = async () => {
+  const { count, bytes } = await getFaviconCacheSize();
+  elements.faviconCacheStatus.textContent = `${count} ${count === 1 ? 'icon' : 'icons'} cached, `
+    + `${Math.ceil(bytes / 1024)} KB of ${FAVICON_CACHE_BYTES / 1024 / 1024} MB`;
+};
+
+/**
+ * Fetches the favicon of the shortcut being edited again. Uses the saved
+ * URL, since only hosts of saved shortcuts are cached.
+ *
+ * @returns {Promise<void>}
+ */
+const refreshShortcutFavicon = async () => {
+  const shortcut = getShortcut(state.currentShortcutId);
+  if (!shortcut || !shortcut.url) return;
+
+  elements.refreshIconBtn.disabled = true;
+  const resolved = await requestFavicon(shortcut.url, true);
+  elements.refreshIconBtn.disabled = false;
+
+  updateIconPreview();
+  showToast(resolved ? 'Icon refreshed' : 'No icon found, will try again later');
+};
+
 /**
  * Resets all stored favicons and updates the UI.
  *
@@ -161,31 +842,52 @@ const storeFavicon = async (siteUrl, faviconUrl) => {
  */
 const resetFavicons = async () => {
   try {
-    // Get all stored keys
-    const result = await chrome.storage.local.get(null);
-    
-    // Filter out favicon keys and remove them
-    const faviconKeys = Object.keys(result).filter(key => key.startsWith('favicon_'));
-    await chrome.storage.local.remove(faviconKeys);
+    await chrome.storage.local.remove(await getBoardFaviconKeys());
     
     // Refresh all shortcuts to show first letters
-    const shortcuts = [...elements.container.querySelectorAll('.shortcut')]
-      .filter(el => el.id !== 'addShortcut');
-    
-    shortcuts.forEach((shortcut) => {
-      const name = shortcut.querySelector('.shortcut-label').textContent;
-      const iconDiv = shortcut.querySelector('.shortcut-icon');
-      
-      iconDiv.innerHTML = '';
-      const span = document.createElement('span');
-      span.textContent = name.charAt(0).toUpperCase();
-      iconDiv.appendChild(span);
-    });
+    refreshShortcutIcons();
+    updateFaviconCacheStatus();
   } catch (err) {
     console.error('Error resetting favicons:', err);
   }
 };
 
+// ——— THUMBNAILS ———
+
+/**
+ * Gets the captured thumbnail of a site.
+ *
+ * @param {string} siteUrl - The full URL of the site.
+ * @returns {Promise<?string>} - Thumbnail data URL, or null if the site
+ *   was not captured yet.
+ */
+const getThumbnailUrl = async (siteUrl) => {
+  const key = thumbnailKey(siteUrl);
+  const thumbnail = key ? await getStorageValue(key, null) : null;
+  return thumbnail ? thumbnail.src : null;
+};
+
+/**
+ * Reads the tile style. Synced boards store an empty string when the
+ * setting was never chosen.
+ *
+ * @returns {Promise<string>} - One of TILE_STYLES.
+ */
+const getTileStyle = async () => {
+  const style = await getStorageValue(STORAGE_KEYS.TILE_STYLE, 'icon');
+  return TILE_STYLES.includes(style) ? style : 'icon';
+};
+
+/**
+ * Switches the shortcut grids between icon and thumbnail tiles.
+ */
+const applyTileStyle = () => {
+  const thumbnails = state.tileStyle === 'thumbnail';
+  elements.container.classList.toggle('thumbnail-tiles', thumbnails);
+  elements.folderGrid.classList.toggle('thumbnail-tiles', thumbnails);
+  refreshShortcutIcons();
+};
+
 // ——— BACKGROUND IMAGE ———
 
 /**
@@ -246,125 +948,427 @@ const fetchIpInfo = async () => {
 
 // ——— SHORTCUTS MANAGEMENT ———
 
+// Anchor elements for shortcuts that have been rendered, by shortcut ID
+const shortcutElements = new Map();
+
+// Custom icon each anchor was last drawn with, as JSON
+const renderedIcons = new WeakMap();
+
+// Latest pending render of each icon element
+const iconRenders = new WeakMap();
+
+// Hosts whose missing favicon this page already asked for
+const requestedFavicons = new Set();
+
 /**
- * Saves the current favorites list to chrome.storage.local.
+ * Finds a shortcut in the store.
  *
- * @returns {Promise<void>}
+ * @param {string} id - Shortcut ID.
+ * @returns {?Object} - The shortcut or null.
  */
-const saveToLocalStorage = async () => {
-  const data = [...elements.container.querySelectorAll('.shortcut')]
-    .filter(el => el.id !== 'addShortcut')
-    .map(el => ({
-      id: el.dataset.shortcutId,
-      name: el.querySelector('.shortcut-label').textContent,
-      url: el.href,
-    }));
-    
-  await setStorageValue(STORAGE_KEYS.SHORTCUTS, data);
+const getShortcut = id => state.shortcuts.get(id) || null;
+
+/**
+ * Finds the folder a shortcut is in.
+ *
+ * @param {string} shortcutId - Shortcut ID.
+ * @returns {?Object} - The folder or null.
+ */
+const getFolderOfShortcut = shortcutId => [...state.shortcuts.values()]
+  .find(shortcut => isFolder(shortcut) && shortcut.shortcuts.includes(shortcutId)) || null;
+
+/**
+ * Finds the tab or folder whose list holds a shortcut.
+ *
+ * @param {string} shortcutId - Shortcut ID.
+ * @returns {?Object} - The folder or tab, or null.
+ */
+const getContainerOfShortcut = shortcutId => getFolderOfShortcut(shortcutId)
+  || state.tabs.find(tab => tab.shortcuts.includes(shortcutId))
+  || null;
+
+/**
+ * Looks up shortcuts by ID, following each folder with its contents.
+ *
+ * @param {string[]} ids - Shortcut IDs.
+ * @returns {Object[]} - The shortcuts that exist.
+ */
+const expandShortcuts = ids => ids.map(getShortcut).filter(Boolean)
+  .flatMap(shortcut => (isFolder(shortcut) ? [shortcut, ...expandShortcuts(shortcut.shortcuts)] : [shortcut]));
+
+/**
+ * Takes a shortcut out of the tab or folder it is in.
+ *
+ * @param {string} shortcutId - Shortcut ID.
+ */
+const detachShortcut = (shortcutId) => {
+  const container = getContainerOfShortcut(shortcutId);
+  if (container) {
+    container.shortcuts = container.shortcuts.filter(id => id !== shortcutId);
+  }
+};
+
+/**
+ * Removes a shortcut from the store, along with a folder's contents.
+ *
+ * @param {string} shortcutId - Shortcut ID.
+ */
+const forgetShortcut = (shortcutId) => {
+  const shortcut = getShortcut(shortcutId);
+  if (isFolder(shortcut)) {
+    shortcut.shortcuts.forEach(id => state.shortcuts.delete(id));
+  }
+  state.shortcuts.delete(shortcutId);
+};
+
+/**
+ * Finds the "Ungrouped" tab.
+ *
+ * @returns {?Object} - The Ungrouped tab or null.
+ */
+const getUngroupedTab = () => state.tabs.find(isUngroupedTab) || null;
+
+/**
+ * Finds the tab a shortcut belongs to, directly or through its folder.
+ *
+ * @param {string} shortcutId - Shortcut ID.
+ * @returns {?Object} - The tab or null.
+ */
+const getTabOfShortcut = (shortcutId) => {
+  const folder = getFolderOfShortcut(shortcutId);
+  const id = folder ? folder.id : shortcutId;
+  return state.tabs.find(tab => tab.shortcuts.includes(id)) || null;
 };
 
 /**
- * Loads favorites from chrome.storage.local and renders them.
+ * Finds the tab whose shortcuts are on screen: a generated tab or the
+ * active tab, or Ungrouped when no tab is active. Site tabs have no
+ * shortcuts of their own; renderSiteEntries() fills them.
+ *
+ * @returns {?Object} - The displayed tab, or null if there are no tabs.
+ */
+const getDisplayedTab = () => (isFrequentTabActive() ? getFrequentTab() : null)
+  || (isSiteTabActive() ? { id: state.activeTabId, name: SITE_TABS[state.activeTabId], shortcuts: [] } : null)
+  || state.tabs.find(tab => tab.id === state.activeTabId)
+  || getUngroupedTab();
+
+/**
+ * Saves the shortcut store to chrome.storage.local. Tab membership and
+ * per-tab order are saved separately by saveTabs().
+ *
+ * @returns {Promise<void>}
+ */
+const saveShortcuts = async () => {
+  await setStorageValue(STORAGE_KEYS.SHORTCUTS, [...state.shortcuts.values()]);
+};
+
+/**
+ * Loads shortcuts from chrome.storage.local into the store, makes sure
+ * every shortcut belongs to exactly one tab, moves uploaded icon images
+ * out of the (synced) shortcuts, and renders the active tab.
  *
  * @returns {Promise<void>}
  */
 const loadShortcuts = async () => {
   const items = await getStorageValue(STORAGE_KEYS.SHORTCUTS, []);
-  
-  // Find the Ungrouped tab
-  const ungroupedTab = state.tabs.find(tab => tab.name === "Ungrouped");
-  
-  // Create a map of existing tab assignments
-  const existingTabAssignments = new Map();
-  state.tabs.forEach(tab => {
-    if (tab.shortcuts && tab.shortcuts.length > 0) {
-      tab.shortcuts.forEach(shortcutId => {
-        existingTabAssignments.set(shortcutId, tab.id);
-      });
+  const repaired = repairBoard({ shortcuts: items, tabs: state.tabs, activeTab: state.activeTabId }, isGeneratedTab);
+
+  state.shortcuts = new Map(repaired.shortcuts.map(shortcut => [shortcut.id, shortcut]));
+  if (await storeIconImages()) {
+    await saveShortcuts();
+  }
+  if (repaired.activeTab !== state.activeTabId) {
+    state.activeTabId = repaired.activeTab;
+    await setStorageValue(STORAGE_KEYS.ACTIVE_TAB, state.activeTabId);
+  }
+
+  if (JSON.stringify(repaired.tabs) !== JSON.stringify(state.tabs)) {
+    state.tabs = repaired.tabs;
+    await saveTabs();
+    renderTabs();
+  }
+
+  renderShortcuts();
+};
+
+/**
+ * Fills a shortcut's icon with its cached favicon, or its first letter.
+ * Tiles in thumbnail mode show the site's thumbnail when there is one.
+ *
+ * @param {HTMLElement} iconDiv - The .shortcut-icon element.
+ * @param {Object} shortcut - The shortcut.
+ * @param {boolean} isTile - Whether the icon is a tile on the board.
+ * @returns {Promise<void>}
+ */
+const renderShortcutIcon = async (iconDiv, shortcut, isTile = false) => {
+  const icon = shortcut.icon || {};
+  const render = {};
+  iconRenders.set(iconDiv, render);
+
+  let thumbnailUrl = null;
+  if (isTile && state.tileStyle === 'thumbnail') {
+    thumbnailUrl = await getThumbnailUrl(shortcut.url);
+    if (iconRenders.get(iconDiv) !== render) return;
+  }
+
+  let imageUrl = icon.type === 'url' ? icon.src : null;
+  if (icon.type === 'image') {
+    imageUrl = await getIconImage(icon);
+    if (iconRenders.get(iconDiv) !== render) return;
+  }
+  if (!thumbnailUrl && !imageUrl && !icon.text) {
+    try {
+      imageUrl = await getFaviconUrl(shortcut.url);
+    } catch {
+      // Fall back to the first letter
     }
+    // The preview follows the URL as it is typed, so it never asks
+    if (!imageUrl && iconDiv !== elements.iconPreview) {
+      requestMissingFavicon(shortcut.url);
+    }
+
+    // A newer render of the same icon may have finished first
+    if (iconRenders.get(iconDiv) !== render) return;
+  }
+
+  // Letter avatars get a color of their own so they can be told apart
+  let host = shortcut.name;
+  try {
+    host = new URL(shortcut.url).hostname || host;
+  } catch {
+    // Color by name instead
+  }
+
+  const showLetter = () => {
+    iconDiv.innerHTML = '';
+    iconDiv.classList.remove('thumbnail');
+    iconDiv.style.backgroundColor = icon.type === 'monogram' ? icon.color : avatarColor(host);
+    const span = document.createElement('span');
+    span.textContent = icon.type === 'monogram' ? icon.text : shortcut.name.charAt(0).toUpperCase();
+    iconDiv.appendChild(span);
+  };
+
+  iconDiv.innerHTML = '';
+  iconDiv.style.backgroundColor = '';
+  iconDiv.classList.toggle('thumbnail', Boolean(thumbnailUrl));
+  if (thumbnailUrl) {
+    const img = document.createElement('img');
+    img.src = thumbnailUrl;
+    img.alt = `${shortcut.name} preview`;
+    img.addEventListener('error', showLetter, { once: true });
+    iconDiv.appendChild(img);
+  } else if (icon.type === 'emoji') {
+    const span = document.createElement('span');
+    span.textContent = icon.text;
+    iconDiv.appendChild(span);
+  } else if (imageUrl) {
+    const img = document.createElement('img');
+    img.src = imageUrl;
+    img.alt = `${shortcut.name} icon`;
+    img.addEventListener('error', showLetter, { once: true });
+    iconDiv.appendChild(img);
+  } else {
+    showLetter();
+  }
+};
+
+/**
+ * Fills a folder's icon with the icons of its first four shortcuts.
+ *
+ * @param {HTMLElement} iconDiv - The .shortcut-icon element.
+ * @param {Object} folder - The folder.
+ */
+const renderFolderIcon = (iconDiv, folder) => {
+  iconDiv.innerHTML = '';
+  expandShortcuts(folder.shortcuts.slice(0, 4)).forEach((shortcut) => {
+    const item = document.createElement('div');
+    item.className = 'folder-icon-item';
+    iconDiv.appendChild(item);
+    renderShortcutIcon(item, shortcut);
   });
-  
-  // Clear existing tab shortcut assignments - we'll rebuild them
-  state.tabs.forEach(tab => {
-    tab.shortcuts = [];
+};
+
+/**
+ * Creates the anchor element for a shortcut. Clicking a folder opens it
+ * instead of following a link.
+ *
+ * @param {Object} shortcut - The shortcut.
+ * @returns {HTMLAnchorElement} - The shortcut element.
+ */
+const createShortcutElement = (shortcut) => {
+  const anchor = document.createElement('a');
+  anchor.className = isFolder(shortcut) ? 'shortcut folder' : 'shortcut';
+  anchor.target = '_self';
+  anchor.draggable = true;
+  anchor.dataset.shortcutId = shortcut.id;
+  anchor.addEventListener('click', handleShortcutClick);
+  anchor.addEventListener('auxclick', handleShortcutAuxClick);
+
+  const iconDiv = document.createElement('div');
+  iconDiv.className = 'shortcut-icon';
+
+  const labelDiv = document.createElement('div');
+  labelDiv.className = 'shortcut-label';
+
+  anchor.append(iconDiv, labelDiv);
+  addEditIcon(anchor);
+
+  // Add drag event listeners
+  anchor.addEventListener('dragstart', handleDragStart);
+  anchor.addEventListener('dragend', handleDragEnd);
+  anchor.addEventListener('dragover', handleDragOver);
+  anchor.addEventListener('dragleave', handleDragLeave);
+  anchor.addEventListener('drop', handleDrop);
+
+  return anchor;
+};
+
+/**
+ * Brings a shortcut element up to date with the store, touching the DOM
+ * only where something changed.
+ *
+ * @param {HTMLAnchorElement} anchor - The shortcut element.
+ * @param {Object} shortcut - The shortcut.
+ */
+const updateShortcutElement = (anchor, shortcut) => {
+  const label = anchor.querySelector('.shortcut-label');
+  if (label.textContent !== shortcut.name) {
+    label.textContent = shortcut.name;
+  }
+
+  if (isFolder(shortcut)) {
+    const preview = JSON.stringify(expandShortcuts(shortcut.shortcuts.slice(0, 4))
+      .map(({ name, url, icon }) => [name, url, icon]));
+    if (anchor.dataset.renderedPreview !== preview) {
+      anchor.dataset.renderedPreview = preview;
+      renderFolderIcon(anchor.querySelector('.shortcut-icon'), shortcut);
+    }
+    return;
+  }
+
+  const icon = JSON.stringify(shortcut.icon || null);
+  if (anchor.dataset.renderedUrl !== shortcut.url
+    || anchor.dataset.renderedName !== shortcut.name
+    || renderedIcons.get(anchor) !== icon) {
+    anchor.href = shortcut.url;
+    anchor.dataset.renderedUrl = shortcut.url;
+    anchor.dataset.renderedName = shortcut.name;
+    renderedIcons.set(anchor, icon);
+    renderShortcutIcon(anchor.querySelector('.shortcut-icon'), shortcut, true);
+  }
+};
+
+/**
+ * Puts shortcut elements into a grid in the given order. Walks backwards
+ * from `next` so each element is moved at most once.
+ *
+ * @param {string[]} ids - Shortcut IDs in display order.
+ * @param {HTMLElement} parent - The grid element.
+ * @param {?HTMLElement} next - Element the shortcuts go before, or null.
+ */
+const placeShortcutElements = (ids, parent, next) => {
+  for (let i = ids.length - 1; i >= 0; i -= 1) {
+    const shortcut = state.shortcuts.get(ids[i]);
+    let el = shortcutElements.get(shortcut.id);
+    if (!el) {
+      el = createShortcutElement(shortcut);
+      shortcutElements.set(shortcut.id, el);
+    }
+    updateShortcutElement(el, shortcut);
+    applyHealth(el, shortcut);
+
+    el.classList.toggle('selected', state.selectedShortcutIds.has(shortcut.id));
+
+    if (el.parentNode !== parent || el.nextSibling !== next) {
+      parent.insertBefore(el, next);
+    }
+    next = el;
+  }
+};
+
+/**
+ * Renders the shortcuts of the displayed tab, and of the open folder if
+ * there is one. Elements are reused between renders and only moved,
+ * added or removed where the store differs from what is on screen.
+ */
+const renderShortcuts = () => {
+  const tab = getDisplayedTab();
+  const ids = (tab ? sortShortcutIds(tab.shortcuts, tab.sortMode) : [...state.shortcuts.keys()])
+    .filter(id => state.shortcuts.has(id));
+
+  // Close the open folder once it is deleted or no longer on screen
+  const folder = getShortcut(state.openFolderId);
+  if (state.openFolderId && (!isFolder(folder) || !ids.includes(folder.id))) {
+    closeFolder();
+  }
+  const folderIds = state.openFolderId
+    ? folder.shortcuts.filter(id => state.shortcuts.has(id))
+    : [];
+  const visible = new Set([...ids, ...folderIds]);
+
+  // Remove elements that are no longer on screen
+  shortcutElements.forEach((el, id) => {
+    if (!state.shortcuts.has(id)) {
+      el.remove();
+      shortcutElements.delete(id);
+    } else if (!visible.has(id) && el.parentNode) {
+      el.remove();
+    }
   });
-  
-  const promises = items.map(({ id, name, url }) => {
-    // Use existing ID if available, otherwise generate a new one
-    const shortcutId = id || Date.now().toString() + Math.random().toString(36).substr(2, 9);
-    
-    const anchor = document.createElement('a');
-    anchor.href = url;
-    anchor.className = 'shortcut';
-    anchor.target = '_self';
-    anchor.draggable = true;
-    anchor.dataset.shortcutId = shortcutId;
-
-    const iconDiv = document.createElement('div');
-    iconDiv.className = 'shortcut-icon';
-    
-    const labelDiv = document.createElement('div');
-    labelDiv.className = 'shortcut-label';
-    labelDiv.textContent = name;
-
-    anchor.append(iconDiv, labelDiv);
-    addEditIcon(anchor);
-    elements.container.insertBefore(anchor, elements.addBtn);
-
-    // Add drag event listeners
-    anchor.addEventListener('dragstart', handleDragStart);
-    anchor.addEventListener('dragend', handleDragEnd);
-    anchor.addEventListener('dragover', handleDragOver);
-    anchor.addEventListener('drop', handleDrop);
-    
-    // Try to load favicon
-    (async () => {
-      try {
-        const faviconUrl = await getFaviconUrl(url);
-        
-        if (faviconUrl) {
-          const img = document.createElement('img');
-          img.src = faviconUrl;
-          img.alt = `${name} favicon`;
-          iconDiv.appendChild(img);
-        } else {
-          const span = document.createElement('span');
-          span.textContent = name.charAt(0).toUpperCase();
-          iconDiv.appendChild(span);
-        }
-      } catch {
-        const span = document.createElement('span');
-        span.textContent = name.charAt(0).toUpperCase();
-        iconDiv.appendChild(span);
-      }
-    })();
-    
-    // Determine which tab this shortcut belongs to
-    if (existingTabAssignments.has(shortcutId)) {
-      // Add to the tab it was previously assigned to
-      const tabId = existingTabAssignments.get(shortcutId);
-      const tab = state.tabs.find(t => t.id === tabId);
-      if (tab) {
-        tab.shortcuts.push(shortcutId);
-      } else if (ungroupedTab) {
-        // If the tab no longer exists, add to Ungrouped
-        ungroupedTab.shortcuts.push(shortcutId);
-      }
-    } else if (ungroupedTab) {
-      // Default for new shortcuts: add to Ungrouped tab
-      ungroupedTab.shortcuts.push(shortcutId);
+
+  // Only shortcuts on screen stay selected
+  state.selectedShortcutIds.forEach((id) => {
+    if (!visible.has(id)) state.selectedShortcutIds.delete(id);
+  });
+
+  // Site tabs are read-only and show their own entries
+  elements.addBtn.classList.toggle('hidden', isSiteTabActive());
+  if (!isSiteTabActive()) {
+    elements.container.querySelectorAll('.site-entry').forEach(el => el.remove());
+  }
+
+  placeShortcutElements(ids, elements.container, elements.addBtn);
+  if (state.openFolderId) {
+    elements.folderTitle.textContent = folder.name;
+    placeShortcutElements(folderIds, elements.folderGrid, null);
+  }
+  renderSelectionBar();
+};
+
+/**
+ * Opens a folder's popover grid.
+ *
+ * @param {string} folderId - Folder ID.
+ */
+const openFolder = (folderId) => {
+  state.openFolderId = folderId;
+  elements.folderPopover.classList.remove('hidden');
+  renderShortcuts();
+};
+
+/**
+ * Closes the folder popover.
+ */
+const closeFolder = () => {
+  state.openFolderId = null;
+  elements.folderPopover.classList.add('hidden');
+};
+
+/**
+ * Re-reads the favicon of every rendered shortcut.
+ *
+ * @param {?Set<string>} hosts - Only redraw shortcuts of these hosts.
+ */
+const refreshShortcutIcons = (hosts = null) => {
+  shortcutElements.forEach((el, id) => {
+    const shortcut = state.shortcuts.get(id);
+    if (hosts && !expandShortcuts([id]).some(s => hosts.has(getHostname(s.url)))) return;
+    if (isFolder(shortcut)) {
+      renderFolderIcon(el.querySelector('.shortcut-icon'), shortcut);
+    } else {
+      renderShortcutIcon(el.querySelector('.shortcut-icon'), shortcut, true);
     }
-    
-    return anchor;
   });
-  
-  await Promise.all(promises);
-  
-  // Save the tabs with the updated shortcuts
-  await saveTabs();
-  
-  // Update which shortcuts are displayed
-  updateVisibleShortcuts();
 };
 
 /**
@@ -392,7 +1396,7 @@ const addEditIcon = (el) => {
   svg.addEventListener('click', (e) => {
     e.preventDefault();
     e.stopPropagation();
-    openModal(true, el);
+    openModal(true, el.dataset.shortcutId);
   });
   
   el.appendChild(svg);
@@ -402,24 +1406,48 @@ const addEditIcon = (el) => {
  * Opens the add/edit shortcut modal.
  *
  * @param {boolean} edit - True for edit mode, false for add.
- * @param {?HTMLAnchorElement} el - The element being edited.
+ * @param {?string} shortcutId - ID of the shortcut being edited.
  */
-const openModal = (edit = false, el = null) => {
-  state.isEditing = edit;
-  state.currentElement = el;
-  elements.deleteBtn.style.display = edit ? 'inline-block' : 'none';
-  elements.modalTitle.textContent = edit ? 'Edit Shortcut' : 'Add Shortcut';
+const openModal = (edit = false, shortcutId = null) => {
+  const shortcut = edit ? getShortcut(shortcutId) : null;
+  state.isEditing = !!shortcut;
+  state.currentShortcutId = shortcut ? shortcut.id : null;
+  elements.deleteBtn.style.display = shortcut ? 'inline-block' : 'none';
+  elements.modalTitle.textContent = shortcut
+    ? (isFolder(shortcut) ? 'Edit Folder' : 'Edit Shortcut')
+    : 'Add Shortcut';
+
+  // Folders have a name but no URL
+  elements.urlLabel.classList.toggle('hidden', isFolder(shortcut));
+  elements.urlInput.classList.toggle('hidden', isFolder(shortcut));
+  elements.keywordLabel.classList.toggle('hidden', isFolder(shortcut));
+  elements.keywordInput.classList.toggle('hidden', isFolder(shortcut));
+  elements.searchUrlLabel.classList.toggle('hidden', isFolder(shortcut));
+  elements.searchUrlInput.classList.toggle('hidden', isFolder(shortcut));
+  elements.openInLabel.classList.toggle('hidden', isFolder(shortcut));
+  elements.openInSelect.classList.toggle('hidden', isFolder(shortcut));
+  elements.iconOptions.classList.toggle('hidden', isFolder(shortcut));
+
+  fillOpenModeOptions(elements.openInSelect, `Default (${OPEN_MODES[state.defaultOpenIn]})`);
+  elements.openInSelect.value = (shortcut && OPEN_MODES[shortcut.openIn]) ? shortcut.openIn : '';
 
-  if (edit && el) {
-    elements.nameInput.value = el.querySelector('.shortcut-label').textContent;
-    elements.urlInput.value = el.href;
+  if (shortcut) {
+    elements.nameInput.value = shortcut.name;
+    elements.urlInput.value = shortcut.url || '';
+    elements.keywordInput.value = shortcut.keyword || '';
+    elements.searchUrlInput.value = shortcut.searchUrl || '';
   } else {
     elements.nameInput.value = '';
     elements.urlInput.value = '';
+    elements.keywordInput.value = '';
+    elements.searchUrlInput.value = '';
   }
+  fillIconFields(shortcut && shortcut.icon);
+  updateIconPreview();
 
   // Update tab selection in modal
-  updateShortcutModal();
+  const tab = shortcut ? getTabOfShortcut(shortcut.id) : null;
+  updateShortcutModal(tab ? tab.id : state.activeTabId);
   
   elements.modal.classList.remove('hidden');
 };
@@ -430,748 +1458,3694 @@ const openModal = (edit = false, el = null) => {
 const closeModal = () => elements.modal.classList.add('hidden');
 
 /**
- * Creates and inserts a new shortcut into the DOM.
+ * Adds a new shortcut to the store and renders it.
  *
- * @param {string} name - Display name of the site.
- * @param {string} url - URL of the site.
+ * @param {{name: string, url: string, openIn: ?string, keyword: ?string, searchUrl: ?string}} fields -
+ *   Name, URL, optional open behavior, search bar keyword and search URL
+ *   template of the site.
  * @param {?string} targetTabId - Optional specific tab ID to add the shortcut to.
- * @returns {Promise<HTMLAnchorElement>} - The created shortcut element.
+ * @returns {Promise<Object>} - The created shortcut.
  */
-const addShortcut = async (name, url, targetTabId = null) => {
-  const shortcutId = Date.now().toString();
-  const anchor = document.createElement('a');
-  anchor.href = url;
-  anchor.className = 'shortcut';
-  anchor.target = '_self';
-  anchor.draggable = true;
-  anchor.dataset.shortcutId = shortcutId;
+const addShortcut = async (fields, targetTabId = null) => runCommand('Add shortcut', async () => {
+  const shortcut = { ...fields, id: generateId() };
+  state.shortcuts.set(shortcut.id, shortcut);
 
-  const iconDiv = document.createElement('div');
-  iconDiv.className = 'shortcut-icon';
-  
-  try {
-    const faviconUrl = await getFaviconUrl(url);
-    
-    if (faviconUrl) {
-      const img = document.createElement('img');
-      img.src = faviconUrl;
-      img.alt = `${name} favicon`;
-      iconDiv.appendChild(img);
-    } else {
-      const span = document.createElement('span');
-      span.textContent = name.charAt(0).toUpperCase();
-      iconDiv.appendChild(span);
-    }
-  } catch {
-    const span = document.createElement('span');
-    span.textContent = name.charAt(0).toUpperCase();
-    iconDiv.appendChild(span);
+  // Add shortcut to the specified tab, the active tab, or Ungrouped
+  const tab = state.tabs.find(t => t.id === (targetTabId || state.activeTabId))
+    || getUngroupedTab();
+  if (tab) {
+    tab.shortcuts.push(shortcut.id);
   }
 
-  const labelDiv = document.createElement('div');
-  labelDiv.className = 'shortcut-label';
-  labelDiv.textContent = name;
+  await saveShortcuts();
+  await saveTabs();
+  renderShortcuts();
 
-  anchor.append(iconDiv, labelDiv);
-  addEditIcon(anchor);
-  elements.container.insertBefore(anchor, elements.addBtn);
+  return shortcut;
+});
 
-  // Add shortcut to the specified tab or the active tab
-  const tabId = targetTabId || state.activeTabId;
-  if (tabId) {
-    const tabIndex = state.tabs.findIndex(tab => tab.id === tabId);
-    if (tabIndex !== -1) {
-      state.tabs[tabIndex].shortcuts.push(shortcutId);
-      await saveTabs();
-    }
-  } else {
-    // If no tab is specified or active, add to Ungrouped
-    const ungroupedTab = state.tabs.find(tab => tab.name === "Ungrouped");
-    if (ungroupedTab) {
-      ungroupedTab.shortcuts.push(shortcutId);
-      await saveTabs();
-    }
-  }
-  
-  await saveToLocalStorage();
+/**
+ * Updates a shortcut's fields, moving it to another tab if needed.
+ * A moved shortcut is added at the end of its new tab, leaving any folder
+ * it was in.
+ *
+ * @param {string} id - Shortcut ID.
+ * @param {Object} changes - New name, URL and open behavior.
+ * @param {?string} targetTabId - Tab the shortcut should belong to.
+ * @returns {Promise<void>}
+ */
+const updateShortcut = async (id, changes, targetTabId = null) => runCommand('Edit shortcut', async () => {
+  const shortcut = getShortcut(id);
+  if (!shortcut) return;
 
-  // Add drag event listeners
-  anchor.addEventListener('dragstart', handleDragStart);
-  anchor.addEventListener('dragend', handleDragEnd);
-  anchor.addEventListener('dragover', handleDragOver);
-  anchor.addEventListener('drop', handleDrop);
-  
-  // Update visibility based on active tab
-  updateVisibleShortcuts();
-  
-  return anchor;
-};
+  state.shortcuts.set(id, { ...shortcut, ...changes });
 
-// ——— DRAG AND DROP FUNCTIONALITY ———
+  const currentTab = getTabOfShortcut(id);
+  const targetTab = state.tabs.find(t => t.id === targetTabId);
+  if (targetTab && targetTab !== currentTab) {
+    detachShortcut(id);
+    targetTab.shortcuts.push(id);
+    await saveTabs();
+  }
+
+  await saveShortcuts();
+  renderShortcuts();
+});
 
 /**
- * Handles the dragstart event for shortcuts.
- * 
- * @param {DragEvent} e - The drag event.
+ * Copies a shortcut into the store under a new ID, together with a
+ * folder's contents.
+ *
+ * @param {Object} shortcut - The shortcut to copy.
+ * @returns {string} - ID of the copy.
  */
-const handleDragStart = function(e) {
-  state.draggedItem = this;
-  this.classList.add('dragging');
-  e.dataTransfer.effectAllowed = 'move';
-  e.dataTransfer.setData('text/plain', ''); // Required for Firefox
+const cloneShortcut = (shortcut) => {
+  const { updatedAt, ...fields } = shortcut;
+  const duplicate = { ...fields, id: generateId() };
+  if (isFolder(shortcut)) {
+    duplicate.shortcuts = shortcut.shortcuts.map(getShortcut).filter(Boolean).map(cloneShortcut);
+  }
+  state.shortcuts.set(duplicate.id, duplicate);
+  return duplicate.id;
 };
 
 /**
- * Handles the dragend event for shortcuts.
+ * Moves a shortcut to the end of another tab, or adds a copy of it there.
+ * A shortcut moved out of a folder leaves the folder.
+ *
+ * @param {string} id - Shortcut ID.
+ * @param {string} targetTabId - Destination tab.
+ * @param {boolean} copy - Whether to copy instead of move.
+ * @returns {Promise<void>}
  */
-const handleDragEnd = function() {
-  this.classList.remove('dragging');
-  state.draggedItem = null;
+const moveShortcutToTab = async (id, targetTabId, copy = false) => {
+  const shortcut = getShortcut(id);
+  const targetTab = state.tabs.find(t => t.id === targetTabId);
+  if (!shortcut || !targetTab || (!copy && targetTab === getContainerOfShortcut(id))) return;
+
+  const label = `${copy ? 'Copied' : 'Moved'} "${shortcut.name}" to "${targetTab.name}"`;
+  await runCommand(label, async () => {
+    if (copy) {
+      targetTab.shortcuts.push(cloneShortcut(shortcut));
+    } else {
+      detachShortcut(id);
+      targetTab.shortcuts.push(id);
+    }
+
+    await saveShortcuts();
+    await saveTabs();
+    renderShortcuts();
+  }, { destructive: !copy });
 };
 
 /**
- * Handles the dragover event for shortcuts.
- * 
- * @param {DragEvent} e - The drag event.
- * @returns {boolean} - Always returns false to prevent default behavior.
+ * Combines two shortcuts the way phone home screens do: dropping a
+ * shortcut on another one puts both in a new folder at the target's
+ * position, and dropping it on a folder adds it to the end of the folder.
+ * Folders cannot be nested.
+ *
+ * @param {string} draggedId - ID of the dropped shortcut.
+ * @param {string} targetId - ID of the shortcut or folder it was dropped on.
+ * @returns {Promise<void>}
  */
-const handleDragOver = function(e) {
-  e.preventDefault();
-  e.dataTransfer.dropEffect = 'move';
-  return false;
-};
+const combineShortcuts = async (draggedId, targetId) => {
+  const dragged = getShortcut(draggedId);
+  const target = getShortcut(targetId);
+  const tab = getContainerOfShortcut(targetId);
+  if (!dragged || !target || draggedId === targetId || isFolder(dragged) || isFolder(tab)) return;
 
-/**
- * Handles the drop event for shortcuts.
- * 
- * @param {DragEvent} e - The drag event.
- * @returns {boolean} - Always returns false to prevent default behavior.
- */
-const handleDrop = function(e) {
-  e.preventDefault();
-  if (state.draggedItem === this) return false;
-
-  const allItems = [...elements.container.querySelectorAll('.shortcut')];
-  const draggedIndex = allItems.indexOf(state.draggedItem);
-  const droppedIndex = allItems.indexOf(this);
+  const label = isFolder(target) ? `Added "${dragged.name}" to "${target.name}"` : 'Created folder';
+  await runCommand(label, async () => {
+    detachShortcut(draggedId);
 
-  if (draggedIndex < droppedIndex) {
-    elements.container.insertBefore(state.draggedItem, this.nextSibling);
-  } else {
-    elements.container.insertBefore(state.draggedItem, this);
-  }
+    if (isFolder(target)) {
+      target.shortcuts.push(draggedId);
+    } else {
+      const folder = { id: generateId(), type: 'folder', name: 'Folder', shortcuts: [targetId, draggedId] };
+      state.shortcuts.set(folder.id, folder);
+      tab.shortcuts.splice(tab.shortcuts.indexOf(targetId), 1, folder.id);
+    }
 
-  saveToLocalStorage();
-  return false;
+    await saveShortcuts();
+    await saveTabs();
+    renderShortcuts();
+  }, { destructive: true });
 };
 
-// ——— SEARCH SUGGESTIONS ———
-
 /**
- * Fetches search suggestions from the Google Suggest API.
+ * Moves shortcuts to the end of a tab, keeping their relative order.
+ * Shortcuts in a folder leave the folder.
  *
- * @param {string} query - The user's input query.
- * @returns {Promise<string[]>} - Array of suggestion strings.
+ * @param {string[]} ids - Shortcut IDs.
+ * @param {string} targetTabId - Destination tab.
+ * @returns {Promise<void>}
  */
-const fetchSuggestions = async (query) => {
-  try {
-    const resp = await fetch(
-      `https://suggestqueries.google.com/complete/search?client=firefox&q=${encodeURIComponent(query)}`
-    );
-    const [_, suggestions] = await resp.json();
-    return suggestions || [];
-  } catch {
-    return [];
-  }
+const moveShortcutsToTab = async (ids, targetTabId) => {
+  const targetTab = state.tabs.find(t => t.id === targetTabId);
+  const moving = ids.filter(id => getShortcut(id) && getContainerOfShortcut(id) !== targetTab);
+  if (!targetTab || !moving.length) return;
+
+  await runCommand(`Moved ${moving.length} shortcut${moving.length === 1 ? '' : 's'} to "${targetTab.name}"`, async () => {
+    moving.forEach((id) => {
+      detachShortcut(id);
+      targetTab.shortcuts.push(id);
+    });
+
+    await saveShortcuts();
+    await saveTabs();
+    renderShortcuts();
+  }, { destructive: true });
 };
 
 /**
- * Highlights the suggestion at the current selectedIndex.
+ * Moves shortcuts to the trash, removing them from the store and from
+ * their tab or folder. Deleting a folder also deletes what is in it.
  *
- * @param {HTMLElement[]} items - Array of suggestion elements.
+ * @param {string[]} ids - Shortcut IDs.
+ * @returns {Promise<void>}
  */
-const updateHighlight = (items) => {
-  items.forEach((el, i) => {
-    if (i === state.selectedIndex) {
-      el.classList.add('highlight');
-      el.scrollIntoView({ block: 'nearest' });
-      el.focus();
-    } else {
-      el.classList.remove('highlight');
-    }
+const deleteShortcuts = async (ids) => {
+  // A shortcut inside a selected folder goes to the trash with the folder
+  const deleting = ids.filter((id) => {
+    const folder = getFolderOfShortcut(id);
+    return getShortcut(id) && !(folder && ids.includes(folder.id));
   });
+  if (!deleting.length) return;
+
+  let label = `Deleted ${deleting.length} shortcuts`;
+  if (deleting.length === 1) {
+    label = isFolder(getShortcut(deleting[0])) ? 'Deleted folder' : 'Deleted shortcut';
+  }
+
+  await runCommand(label, async () => {
+    deleting.forEach((id) => {
+      trashShortcut(id);
+      detachShortcut(id);
+      forgetShortcut(id);
+    });
+
+    await saveTabs();
+    await saveShortcuts();
+    await saveTrash();
+    renderShortcuts();
+  }, { destructive: true });
 };
 
 /**
- * Renders search suggestions as clickable <a> elements.
+ * Moves a shortcut to the trash.
  *
- * @param {string[]} suggestions - Array of suggestion strings.
+ * @param {string} id - Shortcut ID.
+ * @returns {Promise<void>}
  */
-const renderSuggestions = (suggestions) => {
-  elements.suggestionsList.innerHTML = '';
-  state.selectedIndex = -1;
-
-  if (!suggestions.length) {
-    elements.suggestionsList.classList.add('hidden');
-    return;
-  }
+const deleteShortcut = async id => deleteShortcuts([id]);
 
-  suggestions.forEach((text) => {
-    const link = document.createElement('a');
-    link.className = 'suggestion-item';
-    link.href = `https://www.google.com/search?q=${encodeURIComponent(text)}`;
-    link.textContent = text;
-    elements.suggestionsList.appendChild(link);
+/**
+ * Fills a select with the ways a shortcut can be opened.
+ *
+ * @param {HTMLSelectElement} select - The select to fill.
+ * @param {?string} defaultLabel - Label of an extra "use the default"
+ *   option with an empty value, or null to leave it out.
+ */
+const fillOpenModeOptions = (select, defaultLabel = null) => {
+  select.innerHTML = '';
+  const modes = defaultLabel ? [['', defaultLabel], ...Object.entries(OPEN_MODES)] : Object.entries(OPEN_MODES);
+  modes.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
   });
-
-  elements.suggestionsList.classList.remove('hidden');
 };
 
 /**
- * Inserts <link rel="dns-prefetch"> and <link rel="preconnect"> tags
- * for each saved favorite site into the document <head>.
+ * Works out how a shortcut opens: its own setting, or the default.
+ *
+ * @param {Object} shortcut - The shortcut.
+ * @returns {string} - A key of OPEN_MODES.
+ */
+const getOpenMode = shortcut => (OPEN_MODES[shortcut.openIn] ? shortcut.openIn : state.defaultOpenIn);
+
+/**
+ * Opens a URL in the given way.
  *
+ * @param {string} url - The URL to open.
+ * @param {string} mode - A key of OPEN_MODES.
  * @returns {Promise<void>}
  */
-const prefetchAndPreload = async () => {
-  const items = await getStorageValue(STORAGE_KEYS.SHORTCUTS, []);
-  
-  items.forEach(({ url }) => {
-    try {
-      const { hostname, protocol } = new URL(url);
-      
-      // DNS Prefetch
-      const dns = document.createElement('link');
-      dns.rel = 'dns-prefetch';
-      dns.href = `//${hostname}`;
-      document.head.appendChild(dns);
-      
-      // Preconnect
-      const preconnect = document.createElement('link');
-      preconnect.rel = 'preconnect';
-      preconnect.href = `${protocol}//${hostname}`;
-      preconnect.crossOrigin = 'anonymous';
-      document.head.appendChild(preconnect);
-    } catch {
-      // Ignore invalid URLs
+const openUrl = async (url, mode) => {
+  try {
+    if (mode === 'newTab' || mode === 'background') {
+      await chrome.tabs.create({ url, active: mode === 'newTab' });
+    } else if (mode === 'newWindow' || mode === 'incognito') {
+      await chrome.windows.create({ url, focused: true, incognito: mode === 'incognito' });
+    } else {
+      window.location.href = url;
     }
-  });
+  } catch (err) {
+    console.error('Error opening shortcut:', err);
+    alert(`Could not open ${url} in a ${OPEN_MODES[mode].toLowerCase()}`);
+  }
 };
 
-// ——— TAB MANAGEMENT ———
+// ——— USAGE TRACKING ———
 
 /**
- * Creates the tabs container and adds it to the DOM
- * @returns {void}
+ * Decays a recorded click count to a point in time.
+ *
+ * @param {{score: number, lastUsed: number}} usage - Recorded usage.
+ * @param {number} now - Time to decay to.
+ * @returns {number} - Decayed click count.
  */
-const createTabsContainer = () => {
-  // Create tabs container
-  const tabsRow = document.createElement('div');
-  tabsRow.className = 'tabs-container';
-  tabsRow.id = 'tabsContainer';
-  
-  // Style it with more visible styles
-  tabsRow.style.display = 'flex';
-  tabsRow.style.justifyContent = 'center';
-  tabsRow.style.gap = '16px';
-  tabsRow.style.marginTop = '20px';
-  tabsRow.style.marginBottom = '20px'; 
-  tabsRow.style.width = '100%';
-  tabsRow.style.maxWidth = '1000px';
-  tabsRow.style.overflowX = 'auto';
-  tabsRow.style.padding = '12px 0';
-  tabsRow.style.borderRadius = '8px';
-  
-  // Create add tab button
-  const addTabBtn = document.createElement('button');
-  addTabBtn.textContent = '+ New Tab';
-  addTabBtn.className = 'tab-button add-tab';
-  addTabBtn.style.background = 'rgba(138, 180, 248, 0.3)';
-  addTabBtn.style.border = 'none';
-  addTabBtn.style.borderRadius = '12px';
-  addTabBtn.style.padding = '8px 16px';
-  addTabBtn.style.cursor = 'pointer';
-  addTabBtn.style.color = '#e8eaed';
-  addTabBtn.style.fontWeight = '600';
-  addTabBtn.style.fontSize = '13px';
-  
-  // Add the tab button to the tabs container
-  tabsRow.appendChild(addTabBtn);
-  
-  // Create a wrapper if needed
-  const wrapper = document.createElement('div');
-  wrapper.style.display = 'flex';
-  wrapper.style.justifyContent = 'center';
-  wrapper.style.width = '100%';
-  wrapper.appendChild(tabsRow);
-  
-  // Insert after the shortcuts container
-  if (elements.container) {
-    elements.container.parentNode.insertBefore(wrapper, elements.container.nextSibling);
+const decayScore = (usage, now) => usage.score * 0.5 ** ((now - usage.lastUsed) / USAGE_HALF_LIFE_MS);
+
+/**
+ * Reads how much a shortcut is used. Folders add up their contents.
+ *
+ * @param {string} id - Shortcut ID.
+ * @returns {{score: number, lastUsed: number}} - Decayed click count and
+ *   time of the last click (0 if never clicked).
+ */
+const getUsage = (id) => {
+  const shortcut = getShortcut(id);
+  if (isFolder(shortcut)) {
+    return shortcut.shortcuts.map(getUsage).reduce((total, usage) => ({
+      score: total.score + usage.score,
+      lastUsed: Math.max(total.lastUsed, usage.lastUsed),
+    }), { score: 0, lastUsed: 0 });
   }
-  
-  // Store references
-  elements.tabsContainer = tabsRow;
-  elements.addTabBtn = addTabBtn;
-  
-  console.log('Tabs container created:', tabsRow); // Debugging
+
+  const usage = state.usage[id];
+  return usage ? { score: decayScore(usage, Date.now()), lastUsed: usage.lastUsed } : { score: 0, lastUsed: 0 };
 };
 
 /**
- * Opens a modal to add or edit a tab
- * @param {boolean} edit - Whether we're editing an existing tab
- * @param {string} tabId - ID of the tab to edit
+ * Records a click on a shortcut in chrome.storage.local. Usage is only
+ * kept on this device. The write starts straight from memory, so it is
+ * on its way before a same-tab click leaves the page.
+ *
+ * @param {string} id - Shortcut ID.
  */
-const openAddTabModal = (edit = false, tabId = null) => {
-  // Store the current tab ID in the state for reference when saving
-  state.currentTabId = tabId;
-  
-  // Create modal if it doesn't exist
-  let tabModal = document.getElementById('tabModal');
-  
-  if (!tabModal) {
-    tabModal = document.createElement('div');
-    tabModal.id = 'tabModal';
-    tabModal.className = 'modal hidden';
-    
-    tabModal.innerHTML = `
-      <div class="modal-content">
-        <h2 id="tabModalTitle">Add Tab</h2>
-        <label for="tabName">Tab Name:</label>
-        <input type="text" id="tabName" placeholder="Tab Name"/>
-        <button id="saveTabBtn" class="btn save-btn">Save</button>
-        <button id="cancelTabBtn" class="btn cancel-btn">Cancel</button>
-        <button id="deleteTabBtn" class="btn delete-btn" style="display: none;">Delete</button>
-      </div>
-    `;
-    
-    document.body.appendChild(tabModal);
-    
-    // Add event listeners - use the state.currentTabId value, not the tabId parameter
-    document.getElementById('saveTabBtn').addEventListener('click', () => {
-      const isEdit = !!state.currentTabId;
-      saveTab(isEdit, state.currentTabId);
-    });
-    
-    document.getElementById('cancelTabBtn').addEventListener('click', () => {
-      tabModal.classList.add('hidden');
-    });
-    
-    document.getElementById('deleteTabBtn').addEventListener('click', () => {
-      deleteTab(state.currentTabId);
+const recordShortcutUse = (id) => {
+  if (!state.shortcuts.has(id)) return;
+
+  // Forget shortcuts that no longer exist
+  const usage = {};
+  Object.keys(state.usage)
+    .filter(key => state.shortcuts.has(key))
+    .forEach((key) => {
+      usage[key] = state.usage[key];
     });
-  }
-  
-  // Set modal title and input values
-  const tabModalTitle = document.getElementById('tabModalTitle');
-  const tabNameInput = document.getElementById('tabName');
-  const deleteTabBtn = document.getElementById('deleteTabBtn');
-  
-  if (edit && tabId) {
-    tabModalTitle.textContent = 'Edit Tab';
-    const tab = state.tabs.find(t => t.id === tabId);
-    tabNameInput.value = tab ? tab.name : '';
-    
-    // Only show delete button if not the "Ungrouped" tab
-    if (tab && tab.name === "Ungrouped") {
-      deleteTabBtn.style.display = 'none';
-    } else {
-      deleteTabBtn.style.display = 'inline-block';
-    }
-  } else {
-    tabModalTitle.textContent = 'Add Tab';
-    tabNameInput.value = '';
-    deleteTabBtn.style.display = 'none';
-  }
-  
-  // Show modal
-  tabModal.classList.remove('hidden');
+
+  const now = Date.now();
+  usage[id] = { score: (usage[id] ? decayScore(usage[id], now) : 0) + 1, lastUsed: now };
+  state.usage = usage;
+  chrome.storage.local.set({ [STORAGE_KEYS.USAGE]: usage });
 };
 
 /**
- * Saves a new tab or updates an existing one
- * @param {boolean} edit - Whether we're editing an existing tab
- * @param {string} tabId - ID of the tab to edit
+ * Orders shortcut IDs by a tab's sort mode. Shortcuts that tie keep
+ * their manual order.
+ *
+ * @param {string[]} ids - Shortcut IDs in manual order.
+ * @param {?string} mode - A key of SORT_MODES; manual if missing.
+ * @returns {string[]} - Shortcut IDs in display order.
  */
-const saveTab = async (edit = false, tabId = null) => {
-  const tabNameInput = document.getElementById('tabName');
-  const tabName = tabNameInput.value.trim();
-  
-  if (!tabName) {
-    alert('Please enter a tab name');
-    return;
+const sortShortcutIds = (ids, mode) => {
+  const shortcuts = ids.filter(id => state.shortcuts.has(id));
+  if (mode === 'alphabetical') {
+    return shortcuts.sort((a, b) => getShortcut(a).name.localeCompare(getShortcut(b).name, undefined,
+      { numeric: true, sensitivity: 'base' }));
   }
-  
-  if (edit && tabId) {
-    // Update existing tab
-    const tabIndex = state.tabs.findIndex(t => t.id === tabId);
-    if (tabIndex !== -1) {
-      state.tabs[tabIndex].name = tabName;
-    }
-  } else {
-    // Add new tab
-    const newTab = {
-      id: Date.now().toString(),
-      name: tabName,
-      shortcuts: []
-    };
-    state.tabs.push(newTab);
-    
-    // If this is the first tab, make it active
-    if (state.tabs.length === 1) {
-      state.activeTabId = newTab.id;
-    }
+  if (mode === 'mostUsed' || mode === 'recent') {
+    const usage = new Map(shortcuts.map(id => [id, getUsage(id)]));
+    const field = mode === 'mostUsed' ? 'score' : 'lastUsed';
+    return shortcuts.sort((a, b) => usage.get(b)[field] - usage.get(a)[field]);
   }
-  
-  // Save tabs and update UI
-  await saveTabs();
-  renderTabs();
-  updateVisibleShortcuts();
-  
-  // Close modal
-  document.getElementById('tabModal').classList.add('hidden');
+  return ids;
 };
 
 /**
- * Deletes a tab and its shortcuts
- * @param {string} tabId - ID of the tab to delete
+ * Checks whether a tab shows its shortcuts in the order they were
+ * dragged into.
+ *
+ * @param {Object} tab - The tab.
+ * @returns {boolean}
  */
-const deleteTab = async (tabId) => {
-  if (!confirm('Are you sure you want to delete this tab and all its shortcuts?')) {
-    return;
-  }
-  
-  // Remove tab
-  state.tabs = state.tabs.filter(t => t.id !== tabId);
-  
-  // If we deleted the active tab, switch to the first tab
-  if (state.activeTabId === tabId && state.tabs.length > 0) {
-    state.activeTabId = state.tabs[0].id;
-  } else if (state.tabs.length === 0) {
-    state.activeTabId = null;
-  }
-  
-  // Save tabs and update UI
-  await saveTabs();
+const isManuallySorted = tab => !SORT_MODES[tab.sortMode] || tab.sortMode === 'manual';
+
+/**
+ * Checks whether the generated Frequent tab is on screen.
+ *
+ * @returns {boolean}
+ */
+const isFrequentTabActive = () => state.showFrequentTab && state.activeTabId === FREQUENT_TAB_ID;
+
+/**
+ * Builds the Frequent tab: the most used shortcuts from every tab and
+ * folder. It is generated on demand and never saved.
+ *
+ * @returns {Object} - A tab-like object.
+ */
+const getFrequentTab = () => ({
+  id: FREQUENT_TAB_ID,
+  name: FREQUENT_TAB_NAME,
+  sortMode: 'mostUsed',
+  shortcuts: sortShortcutIds([...state.shortcuts.values()]
+    .filter(shortcut => !isFolder(shortcut) && getUsage(shortcut.id).score >= FREQUENT_MIN_SCORE)
+    .map(shortcut => shortcut.id), 'mostUsed')
+    .slice(0, FREQUENT_TAB_SIZE),
+});
+
+/**
+ * Records middle-clicks on shortcuts, which open them without a click
+ * event.
+ *
+ * @param {MouseEvent} e - The auxclick event.
+ */
+const handleShortcutAuxClick = function(e) {
+  if (e.button === 1 && !isFolder(getShortcut(this.dataset.shortcutId))) {
+    recordShortcutUse(this.dataset.shortcutId);
+  }
+};
+
+// ——— SITE TABS ———
+
+/**
+ * Checks whether an optional permission has been granted.
+ *
+ * @param {string} permission - Permission name, e.g. "history".
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = permission => chrome.permissions.contains({ permissions: [permission] })
+  .catch(() => false);
+
+/**
+ * Asks the user for an optional permission. Must be called while
+ * handling a click or key press.
+ *
+ * @param {string} permission - Permission name, e.g. "history".
+ * @returns {Promise<boolean>} - Whether the permission is granted.
+ */
+const requestPermission = permission => chrome.permissions.request({ permissions: [permission] })
+  .catch(() => false);
+
+/**
+ * Checks whether a tab ID belongs to a generated tab, which is not
+ * stored in state.tabs.
+ *
+ * @param {string} tabId - Tab ID.
+ * @returns {boolean}
+ */
+const isGeneratedTab = tabId => tabId === FREQUENT_TAB_ID || Boolean(SITE_TABS[tabId]);
+
+/**
+ * Checks whether a top sites or history tab is on screen.
+ *
+ * @returns {boolean}
+ */
+const isSiteTabActive = () => state.siteTabs.includes(state.activeTabId);
+
+/**
+ * Checks whether a host is left out of the site tabs. Excluding a domain
+ * also excludes its subdomains.
+ *
+ * @param {string} host - Hostname.
+ * @returns {boolean}
+ */
+const isExcludedHost = host => state.excludedDomains
+  .some(domain => host === domain || host.endsWith(`.${domain}`));
+
+/**
+ * Reads the entries of a site tab from Chrome, leaving out excluded
+ * domains, pages that are not websites and repeated URLs.
+ *
+ * @param {string} tabId - A key of SITE_TABS.
+ * @returns {Promise<Array<{name: string, url: string}>>} - Entries.
+ */
+const loadSiteEntries = async (tabId) => {
+  const items = tabId === 'topSites'
+    ? await chrome.topSites.get()
+    : await chrome.history.search({ text: '', startTime: 0, maxResults: SITE_TAB_SIZE * 8 });
+
+  const seen = new Set();
+  return items
+    .filter((item) => {
+      const host = getHostname(item.url);
+      if (!host || !/^https?:/i.test(item.url) || isExcludedHost(host) || seen.has(item.url)) {
+        return false;
+      }
+      seen.add(item.url);
+      return true;
+    })
+    .slice(0, SITE_TAB_SIZE)
+    .map(item => ({ name: item.title || getHostname(item.url), url: item.url }));
+};
+
+/**
+ * Gets an icon for any page from Chrome's favicon service. Site entries
+ * are not shortcuts, so they stay out of the favicon cache.
+ *
+ * @param {string} pageUrl - URL of the page.
+ * @returns {string} - Icon URL.
+ */
+const getChromeFaviconUrl = (pageUrl) => {
+  const url = new URL(chrome.runtime.getURL('/_favicon/'));
+  url.searchParams.set('pageUrl', pageUrl);
+  url.searchParams.set('size', '64');
+  return url.href;
+};
+
+/**
+ * Creates a read-only tile for a site tab entry, with a pin action that
+ * turns it into a shortcut and an action that hides its domain.
+ *
+ * @param {{name: string, url: string}} entry - The entry.
+ * @returns {HTMLAnchorElement} - The tile.
+ */
+const createSiteEntryElement = (entry) => {
+  const host = getHostname(entry.url);
+  const anchor = document.createElement('a');
+  anchor.className = 'shortcut site-entry';
+  anchor.href = entry.url;
+  anchor.title = entry.url;
+  anchor.draggable = false;
+  anchor.addEventListener('click', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.shiftKey || state.defaultOpenIn === 'sameTab') return;
+    e.preventDefault();
+    openUrl(entry.url, state.defaultOpenIn);
+  });
+
+  const iconDiv = document.createElement('div');
+  iconDiv.className = 'shortcut-icon';
+  const img = document.createElement('img');
+  img.src = getChromeFaviconUrl(entry.url);
+  img.alt = `${entry.name} icon`;
+  iconDiv.appendChild(img);
+
+  const labelDiv = document.createElement('div');
+  labelDiv.className = 'shortcut-label';
+  labelDiv.textContent = entry.name;
+
+  const actions = [
+    ['pin-icon', 'Pin as a shortcut', 'M16 9V4h1V2H7v2h1v5l-2 2v2h5.2v7h1.6v-7H18v-2l-2-2z', () => pinSiteEntry(entry)],
+    ['exclude-icon', `Hide ${host}`, 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z',
+      () => excludeDomain(host)],
+  ];
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const icons = actions.map(([className, title, d, action]) => {
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.classList.add('edit-icon', className);
+    svg.setAttribute('viewBox', '0 0 24 24');
+    const titleEl = document.createElementNS(svgNS, 'title');
+    titleEl.textContent = title;
+    const path = document.createElementNS(svgNS, 'path');
+    path.setAttribute('d', d);
+    svg.append(titleEl, path);
+    svg.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      action();
+    });
+    return svg;
+  });
+
+  anchor.append(iconDiv, labelDiv, ...icons);
+  return anchor;
+};
+
+/**
+ * Fills the active site tab with entries from Chrome. Entries are read
+ * again each time, so the tab stays current.
+ *
+ * @returns {Promise<void>}
+ */
+const renderSiteEntries = async () => {
+  const tabId = state.activeTabId;
+  if (!isSiteTabActive()) return;
+
+  let entries = [];
+  try {
+    entries = await loadSiteEntries(tabId);
+  } catch (err) {
+    console.error('Error loading site tab:', err);
+  }
+
+  // Another tab may have been opened meanwhile
+  if (state.activeTabId !== tabId) return;
+
+  elements.container.querySelectorAll('.site-entry').forEach(el => el.remove());
+  entries.forEach((entry) => {
+    elements.container.insertBefore(createSiteEntryElement(entry), elements.addBtn);
+  });
+};
+
+/**
+ * Opens the add shortcut dialog filled in from a site entry, where the
+ * tab for the new shortcut is chosen.
+ *
+ * @param {{name: string, url: string}} entry - The entry to pin.
+ */
+const pinSiteEntry = (entry) => {
+  openModal(false);
+  elements.nameInput.value = entry.name;
+  elements.urlInput.value = entry.url;
+  updateIconPreview();
+};
+
+/**
+ * Saves the domains left out of the site tabs and redraws the active one.
+ *
+ * @param {string[]} domains - Domains to exclude.
+ * @returns {Promise<void>}
+ */
+const setExcludedDomains = async (domains) => {
+  state.excludedDomains = [...new Set(domains)];
+  await setStorageValue(STORAGE_KEYS.EXCLUDED_DOMAINS, state.excludedDomains);
+  renderSiteEntries();
+};
+
+/**
+ * Leaves a domain out of the site tabs, offering to undo it.
+ *
+ * @param {string} domain - Domain to exclude.
+ * @returns {Promise<void>}
+ */
+const excludeDomain = async (domain) => {
+  const previous = state.excludedDomains;
+  await setExcludedDomains([...previous, domain]);
+  showToast(`Hid ${domain}`, 'Undo', () => setExcludedDomains(previous));
+};
+
+/**
+ * Reads the excluded domains typed in the settings, one per line. Full
+ * URLs are reduced to their host.
+ *
+ * @param {string} text - Text of the input.
+ * @returns {string[]} - Domains.
+ */
+const parseExcludedDomains = text => text.split(/[\s,]+/)
+  .map(line => line.trim().toLowerCase())
+  .filter(Boolean)
+  .map(line => getHostname(/^[a-z]+:\/\//.test(line) ? line : `https://${line}`))
+  .filter(Boolean);
+
+// ——— DRAG AND DROP FUNCTIONALITY ———
+
+/**
+ * Handles the dragstart event for shortcuts.
+ * 
+ * @param {DragEvent} e - The drag event.
+ */
+const handleDragStart = function(e) {
+  state.draggedItem = this;
+  this.classList.add('dragging');
+  // Shortcuts can also be copied onto a tab button
+  e.dataTransfer.effectAllowed = 'copyMove';
+  e.dataTransfer.setData('text/plain', ''); // Required for Firefox
+};
+
+/**
+ * Handles the dragend event for shortcuts.
+ */
+const handleDragEnd = function() {
+  this.classList.remove('dragging');
+  state.draggedItem = null;
+};
+
+/**
+ * Checks whether a drag over a shortcut should combine the two into a
+ * folder rather than reorder them: the pointer has to be over the middle
+ * of a shortcut that is not inside a folder, and the dragged shortcut
+ * must not be a folder itself.
+ * 
+ * @param {HTMLElement} target - The shortcut being dragged over.
+ * @param {DragEvent} e - The drag event.
+ * @returns {boolean} - True if dropping here creates or fills a folder.
+ */
+const isFolderDrop = (target, e) => {
+  const dragged = state.draggedItem;
+  if (!dragged || dragged === target || !dragged.dataset.shortcutId) return false;
+  if (isFolder(getShortcut(dragged.dataset.shortcutId))) return false;
+  if (getFolderOfShortcut(target.dataset.shortcutId)) return false;
+
+  const rect = target.getBoundingClientRect();
+  return Math.abs(e.clientX - (rect.left + rect.width / 2)) < rect.width / 4
+    && Math.abs(e.clientY - (rect.top + rect.height / 2)) < rect.height / 4;
+};
+
+/**
+ * Handles the dragover event for shortcuts.
+ * 
+ * @param {DragEvent} e - The drag event.
+ * @returns {boolean} - Always returns false to prevent default behavior.
+ */
+const handleDragOver = function(e) {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
+  this.classList.toggle('folder-target', isFolderDrop(this, e));
+  return false;
+};
+
+/**
+ * Handles the dragleave event for shortcuts.
+ */
+const handleDragLeave = function() {
+  this.classList.remove('folder-target');
+};
+
+/**
+ * Handles the drop event for shortcuts. Dropping on the middle of a
+ * shortcut combines the two into a folder; otherwise the dragged shortcut
+ * takes the target's place in its tab or folder.
+ * 
+ * @param {DragEvent} e - The drag event.
+ * @returns {boolean} - Always returns false to prevent default behavior.
+ */
+const handleDrop = function(e) {
+  e.preventDefault();
+  this.classList.remove('folder-target');
+  if (!state.draggedItem || state.draggedItem === this || !state.draggedItem.dataset.shortcutId) {
+    return false;
+  }
+
+  // The Frequent tab mixes shortcuts from every tab, so nothing can be
+  // arranged in it
+  if (isFrequentTabActive() && elements.container.contains(this)) return false;
+
+  const draggedId = state.draggedItem.dataset.shortcutId;
+  const targetId = this.dataset.shortcutId;
+  if (isFolderDrop(this, e)) {
+    combineShortcuts(draggedId, targetId);
+    return false;
+  }
+
+  const source = getContainerOfShortcut(draggedId);
+  const target = getContainerOfShortcut(targetId);
+  if (!source || !target) return false;
+
+  // Folders cannot be nested
+  if (isFolder(target) && isFolder(getShortcut(draggedId))) return false;
+
+  if (source === target && !isFolder(target) && !isManuallySorted(target)) {
+    showToast(`"${target.name}" is sorted ${SORT_MODES[target.sortMode].toLowerCase()}; `
+      + 'set it to manual in the tab\'s settings to arrange it');
+    return false;
+  }
+
+  runCommand('Moved shortcut', async () => {
+    // Within one list, dragging forward lands after the target and
+    // dragging backward before it; from another list it lands before it
+    const droppedIndex = target.shortcuts.indexOf(targetId);
+    source.shortcuts.splice(source.shortcuts.indexOf(draggedId), 1);
+    target.shortcuts.splice(droppedIndex, 0, draggedId);
+
+    renderShortcuts();
+    if (isFolder(source) || isFolder(target)) {
+      await saveShortcuts();
+    }
+    await saveTabs();
+  }, { destructive: true });
+  return false;
+};
+
+// ——— MULTI-SELECT ———
+
+/**
+ * Handles clicks on shortcuts. Shift-click selects; once something is
+ * selected, Ctrl/Cmd-click adds or removes single shortcuts. Without a
+ * selection Ctrl/Cmd-click is left to the browser, as is middle-click.
+ * A plain click clears the selection, then opens a folder, or opens the
+ * shortcut the way it is set to open.
+ * 
+ * @param {MouseEvent} e - The click event.
+ */
+const handleShortcutClick = function(e) {
+  const id = this.dataset.shortcutId;
+
+  if (e.shiftKey || (state.selectedShortcutIds.size && (e.ctrlKey || e.metaKey))) {
+    e.preventDefault();
+    if (e.shiftKey && state.selectionAnchorId) {
+      selectRange(state.selectionAnchorId, id);
+    } else {
+      toggleSelection(id);
+    }
+    return;
+  }
+
+  clearSelection();
+  const shortcut = getShortcut(id);
+  if (isFolder(shortcut)) {
+    e.preventDefault();
+    openFolder(id);
+    return;
+  }
+
+  if (!shortcut) return;
+  recordShortcutUse(id);
+
+  // Ctrl/Cmd/Alt-click keep their usual browser meaning
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const mode = getOpenMode(shortcut);
+  if (mode !== 'sameTab') {
+    e.preventDefault();
+    openUrl(shortcut.url, mode);
+  }
+};
+
+/**
+ * Adds a shortcut to the selection, or removes it if already selected.
+ * 
+ * @param {string} id - Shortcut ID.
+ */
+const toggleSelection = (id) => {
+  if (state.selectedShortcutIds.has(id)) {
+    state.selectedShortcutIds.delete(id);
+  } else {
+    state.selectedShortcutIds.add(id);
+  }
+  state.selectionAnchorId = id;
+  renderShortcuts();
+};
+
+/**
+ * Selects every shortcut between two shortcuts in the same grid, in the
+ * order they are shown. Falls back to toggling when they are in
+ * different grids.
+ * 
+ * @param {string} fromId - Shortcut the range starts at.
+ * @param {string} toId - Shortcut the range ends at.
+ */
+const selectRange = (fromId, toId) => {
+  const fromEl = shortcutElements.get(fromId);
+  const toEl = shortcutElements.get(toId);
+  if (!fromEl || !toEl || !toEl.parentNode || fromEl.parentNode !== toEl.parentNode) {
+    toggleSelection(toId);
+    return;
+  }
+
+  const ids = [...toEl.parentNode.children]
+    .map(el => el.dataset.shortcutId)
+    .filter(Boolean);
+  const from = ids.indexOf(fromId);
+  const to = ids.indexOf(toId);
+  ids
+    .slice(Math.min(from, to), Math.max(from, to) + 1)
+    .forEach(id => state.selectedShortcutIds.add(id));
+  renderShortcuts();
+};
+
+/**
+ * Clears the selection.
+ */
+const clearSelection = () => {
+  if (!state.selectedShortcutIds.size) return;
+  state.selectedShortcutIds.clear();
+  state.selectionAnchorId = null;
+  renderShortcuts();
+};
+
+/**
+ * Lists the selected shortcuts in the order they are on screen.
+ * 
+ * @returns {string[]} - Selected shortcut IDs.
+ */
+const getSelectedIds = () => [...shortcutElements.keys()]
+  .filter(id => state.selectedShortcutIds.has(id))
+  .sort((a, b) => {
+    const position = shortcutElements.get(a).compareDocumentPosition(shortcutElements.get(b));
+    return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  });
+
+/**
+ * Shows or hides the bulk action bar and fills its tab list.
+ */
+const renderSelectionBar = () => {
+  const count = state.selectedShortcutIds.size;
+  elements.selectionBar.classList.toggle('hidden', count === 0);
+  if (!count) return;
+
+  elements.selectionCount.textContent = `${count} selected`;
+
+  elements.bulkMoveSelect.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Move to tab…';
+  elements.bulkMoveSelect.appendChild(placeholder);
+
+  state.tabs.forEach((tab) => {
+    const option = document.createElement('option');
+    option.value = tab.id;
+    option.textContent = tab.name;
+    elements.bulkMoveSelect.appendChild(option);
+  });
+};
+
+/**
+ * Selects the shortcuts in the displayed tab that a rectangle touches.
+ * 
+ * @param {DOMRect} rect - The lasso rectangle, in viewport coordinates.
+ * @param {Set<string>} base - Selection to add to.
+ */
+const selectInRect = (rect, base) => {
+  const selected = new Set(base);
+  elements.container.querySelectorAll('.shortcut[data-shortcut-id]').forEach((el) => {
+    const box = el.getBoundingClientRect();
+    if (box.right >= rect.left && box.left <= rect.right
+      && box.bottom >= rect.top && box.top <= rect.bottom) {
+      selected.add(el.dataset.shortcutId);
+    }
+  });
+
+  state.selectedShortcutIds = selected;
+  renderShortcuts();
+};
+
+/**
+ * Starts a lasso selection when the mouse goes down on empty space around
+ * the shortcuts. Holding Shift, Ctrl or Cmd adds to the selection.
+ * 
+ * @param {MouseEvent} e - The mousedown event.
+ */
+const startLasso = (e) => {
+  if (e.button !== 0) return;
+  if (e.target !== elements.container && e.target !== elements.container.parentElement) return;
+
+  e.preventDefault();
+  const base = e.shiftKey || e.ctrlKey || e.metaKey ? new Set(state.selectedShortcutIds) : new Set();
+  const startX = e.clientX;
+  const startY = e.clientY;
+
+  const lasso = document.createElement('div');
+  lasso.className = 'lasso';
+  document.body.appendChild(lasso);
+
+  const onMove = (moveEvent) => {
+    const rect = {
+      left: Math.min(startX, moveEvent.clientX),
+      top: Math.min(startY, moveEvent.clientY),
+      right: Math.max(startX, moveEvent.clientX),
+      bottom: Math.max(startY, moveEvent.clientY),
+    };
+    Object.assign(lasso.style, {
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.right - rect.left}px`,
+      height: `${rect.bottom - rect.top}px`,
+    });
+    selectInRect(rect, base);
+  };
+
+  const onUp = () => {
+    lasso.remove();
+    document.removeEventListener('mousemove', onMove);
+    document.removeEventListener('mouseup', onUp);
+  };
+
+  document.addEventListener('mousemove', onMove);
+  document.addEventListener('mouseup', onUp);
+  selectInRect({ left: startX, top: startY, right: startX, bottom: startY }, base);
+};
+
+/**
+ * Opens the selected shortcuts, and the contents of selected folders, in
+ * background tabs.
+ */
+const openSelected = () => {
+  expandShortcuts(getSelectedIds())
+    .filter(shortcut => !isFolder(shortcut))
+    .forEach(shortcut => chrome.tabs.create({ url: shortcut.url, active: false }));
+};
+
+/**
+ * Copies the selected shortcuts to the clipboard as a Markdown list, with
+ * the contents of selected folders nested under them.
+ * 
+ * @returns {Promise<void>}
+ */
+const copySelectedAsMarkdown = async () => {
+  const link = shortcut => `[${shortcut.name.replace(/[[\]]/g, '\\$&')}](${shortcut.url})`;
+  const lines = getSelectedIds().map(getShortcut).filter(Boolean).flatMap(shortcut => (isFolder(shortcut)
+    ? [`- ${shortcut.name}`, ...expandShortcuts(shortcut.shortcuts).map(child => `  - ${link(child)}`)]
+    : [`- ${link(shortcut)}`]));
+
+  try {
+    await navigator.clipboard.writeText(lines.join('\n'));
+    showToast(`Copied ${lines.length} line${lines.length === 1 ? '' : 's'} of Markdown`);
+  } catch (err) {
+    console.error('Error copying to clipboard:', err);
+    alert('Could not copy to the clipboard');
+  }
+};
+
+// ——— UNDO / REDO ———
+
+// Most recent commands last; each holds board snapshots from before and after
+const commandHistory = {
+  undo: [],
+  redo: [],
+  queue: Promise.resolve(), // Commands, undos and redos run one at a time
+  rejected: false, // Whether a save of the running command was refused as stale
+};
+
+const HISTORY_LIMIT = 50;
+
+/**
+ * Takes a copy of the shortcut store, the tabs, the trash and the active tab.
+ *
+ * @returns {Object} - Board snapshot.
+ */
+const snapshotBoard = () => JSON.parse(JSON.stringify({
+  shortcuts: [...state.shortcuts.values()],
+  tabs: state.tabs,
+  trash: state.trash,
+  activeTabId: state.activeTabId,
+}));
+
+/**
+ * Puts a board snapshot back in place, saves it and redraws the page.
+ *
+ * @param {Object} snapshot - Snapshot from snapshotBoard().
+ * @returns {Promise<void>}
+ */
+const restoreBoard = async (snapshot) => {
+  const copy = JSON.parse(JSON.stringify(snapshot));
+  state.shortcuts = new Map(copy.shortcuts.map(shortcut => [shortcut.id, shortcut]));
+  state.tabs = copy.tabs;
+  state.trash = copy.trash;
+  if (state.tabs.some(tab => tab.id === copy.activeTabId)) {
+    state.activeTabId = copy.activeTabId;
+  }
+
+  await saveShortcuts();
+  await saveTabs();
+  await saveTrash();
+  renderTabs();
+  renderShortcuts();
+};
+
+/**
+ * Runs a task after every command, undo and redo started before it.
+ *
+ * @param {Function} task - Async function to run.
+ * @returns {Promise<*>} - Whatever `task` returns.
+ */
+const enqueueCommand = (task) => {
+  const run = commandHistory.queue.then(task);
+  commandHistory.queue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Runs a change to shortcuts or tabs as an undoable command. A command
+ * started while another one runs waits for it, so each gets its own undo
+ * step; `mutate` must therefore not run another command.
+ *
+ * @param {string} label - Description shown in the undo toast.
+ * @param {Function} mutate - Async function that changes and saves the board.
+ * @param {{destructive: boolean}} options - Destructive commands offer "Undo" in a toast.
+ * @returns {Promise<*>} - Whatever `mutate` returns.
+ */
+const runCommand = (label, mutate, { destructive = false } = {}) => enqueueCommand(async () => {
+  const before = snapshotBoard();
+  commandHistory.rejected = false;
+  const result = await mutate();
+  const after = snapshotBoard();
+
+  // A refused save leaves nothing to undo, and switching tabs alone is
+  // not worth an undo step
+  if (commandHistory.rejected) return result;
+  if (JSON.stringify([before.shortcuts, before.tabs]) === JSON.stringify([after.shortcuts, after.tabs])) {
+    return result;
+  }
+
+  commandHistory.undo.push({ label, before, after });
+  if (commandHistory.undo.length > HISTORY_LIMIT) commandHistory.undo.shift();
+  commandHistory.redo = [];
+
+  if (destructive) {
+    showToast(label, 'Undo', undo);
+  }
+  return result;
+});
+
+/**
+ * Reverts the most recent command.
+ *
+ * @returns {Promise<void>}
+ */
+const undo = () => enqueueCommand(async () => {
+  const command = commandHistory.undo.pop();
+  if (!command) return;
+
+  await restoreBoard(command.before);
+  commandHistory.redo.push(command);
+  showToast(`Undid: ${command.label}`, 'Redo', redo);
+});
+
+/**
+ * Re-applies the most recently undone command.
+ *
+ * @returns {Promise<void>}
+ */
+const redo = () => enqueueCommand(async () => {
+  const command = commandHistory.redo.pop();
+  if (!command) return;
+
+  await restoreBoard(command.after);
+  commandHistory.undo.push(command);
+  showToast(`Redid: ${command.label}`, 'Undo', undo);
+});
+
+/**
+ * Forgets all commands. Used when another page changed the board, since
+ * restoring an older snapshot would overwrite that change.
+ */
+const clearHistory = () => {
+  commandHistory.undo = [];
+  commandHistory.redo = [];
+};
+
+let toastTimeoutId;
+
+/**
+ * Shows a short message at the bottom of the page, optionally with an
+ * action button.
+ *
+ * @param {string} message - Message to show.
+ * @param {?string} actionLabel - Label of the action button.
+ * @param {?Function} action - Called when the action button is clicked.
+ */
+const showToast = (message, actionLabel = null, action = null) => {
+  elements.toastMessage.textContent = message;
+  elements.toastAction.textContent = actionLabel || '';
+  elements.toastAction.classList.toggle('hidden', !action);
+  elements.toastAction.onclick = action
+    ? () => {
+      hideToast();
+      action();
+    }
+    : null;
+
+  elements.toast.classList.remove('hidden');
+  clearTimeout(toastTimeoutId);
+  toastTimeoutId = setTimeout(hideToast, 6000);
+};
+
+/**
+ * Hides the toast.
+ */
+const hideToast = () => {
+  clearTimeout(toastTimeoutId);
+  elements.toast.classList.add('hidden');
+};
+
+// ——— TRASH ———
+
+/**
+ * Loads the trash from storage.
+ *
+ * @returns {Promise<void>}
+ */
+const loadTrash = async () => {
+  state.trash = await getStorageValue(STORAGE_KEYS.TRASH, []);
+  state.trashRetentionDays = await getStorageValue(STORAGE_KEYS.TRASH_RETENTION_DAYS, 30);
+};
+
+/**
+ * Saves the trash to storage. The trash stays on this device and is
+ * never synced.
+ *
+ * @returns {Promise<void>}
+ */
+const saveTrash = async () => {
+  await setStorageValue(STORAGE_KEYS.TRASH, state.trash);
+};
+
+/**
+ * Moves a shortcut into the trash, remembering its tab, folder and
+ * position. A folder goes in with its contents.
+ *
+ * @param {string} id - Shortcut ID.
+ */
+const trashShortcut = (id) => {
+  const shortcut = getShortcut(id);
+  if (!shortcut) return;
+
+  const tab = getTabOfShortcut(id);
+  const folder = getFolderOfShortcut(id);
+  const container = folder || tab;
+  state.trash.unshift({
+    id: generateId(),
+    type: 'shortcut',
+    deletedAt: Date.now(),
+    shortcut,
+    shortcuts: isFolder(shortcut) ? expandShortcuts(shortcut.shortcuts) : [],
+    tabId: tab ? tab.id : null,
+    folderId: folder ? folder.id : null,
+    position: container ? container.shortcuts.indexOf(id) : -1,
+  });
+};
+
+/**
+ * Moves a tab and the shortcuts in it into the trash, remembering the
+ * tab's position.
+ *
+ * @param {string} tabId - Tab ID.
+ */
+const trashTab = (tabId) => {
+  const position = state.tabs.findIndex(tab => tab.id === tabId);
+  if (position === -1) return;
+
+  const tab = state.tabs[position];
+  state.trash.unshift({
+    id: generateId(),
+    type: 'tab',
+    deletedAt: Date.now(),
+    tab,
+    shortcuts: expandShortcuts(tab.shortcuts),
+    position,
+  });
+};
+
+/**
+ * Puts trashed shortcuts back into the store, skipping any that are
+ * already there. Restored folders keep only what was restored with them.
+ *
+ * @param {Object[]} shortcuts - Shortcuts from a trash entry.
+ * @returns {Set<string>} - IDs of the restored shortcuts.
+ */
+const restoreShortcuts = (shortcuts) => {
+  const restored = new Set(shortcuts.filter(s => !state.shortcuts.has(s.id)).map(s => s.id));
+
+  shortcuts.filter(s => restored.has(s.id)).forEach((shortcut) => {
+    state.shortcuts.set(shortcut.id, isFolder(shortcut)
+      ? { ...shortcut, shortcuts: shortcut.shortcuts.filter(id => restored.has(id)) }
+      : shortcut);
+  });
+
+  return restored;
+};
+
+/**
+ * Puts a trashed shortcut or tab back where it was. A shortcut whose
+ * folder no longer exists goes to its tab, and one whose tab no longer
+ * exists goes to Ungrouped.
+ *
+ * @param {string} entryId - ID of the trash entry.
+ * @returns {Promise<void>}
+ */
+const restoreFromTrash = async (entryId) => {
+  const entry = state.trash.find(e => e.id === entryId);
+  if (!entry) return;
+
+  await runCommand(entry.type === 'tab' ? 'Restored tab' : 'Restored shortcut', async () => {
+    state.trash = state.trash.filter(e => e !== entry);
+
+    if (entry.type === 'shortcut') {
+      if (!state.shortcuts.has(entry.shortcut.id)) {
+        restoreShortcuts([entry.shortcut, ...(entry.shortcuts || [])]);
+
+        const folder = getShortcut(entry.folderId);
+        const inFolder = isFolder(folder) && !isFolder(entry.shortcut);
+        const container = (inFolder && folder)
+          || state.tabs.find(t => t.id === entry.tabId)
+          || getUngroupedTab();
+        const position = entry.position >= 0 && (inFolder || !entry.folderId)
+          ? entry.position
+          : container.shortcuts.length;
+        container.shortcuts.splice(Math.min(position, container.shortcuts.length), 0, entry.shortcut.id);
+      }
+    } else {
+      const restored = restoreShortcuts(entry.shortcuts);
+      const tab = { ...entry.tab, shortcuts: entry.tab.shortcuts.filter(id => restored.has(id)) };
+      if (state.tabs.some(t => t.id === tab.id)) {
+        tab.id = generateId();
+      }
+      state.tabs.splice(Math.max(1, Math.min(entry.position, state.tabs.length)), 0, tab);
+    }
+
+    await saveShortcuts();
+    await saveTabs();
+    await saveTrash();
+    renderTabs();
+    renderShortcuts();
+  });
+
+  renderTrash();
+};
+
+/**
+ * Permanently removes entries from the trash.
+ *
+ * @param {Function} predicate - Returns true for entries to remove.
+ * @returns {Promise<void>}
+ */
+const removeFromTrash = async (predicate) => {
+  const remaining = state.trash.filter(entry => !predicate(entry));
+  if (remaining.length === state.trash.length) return;
+
+  state.trash = remaining;
+  await saveTrash();
+  renderTrash();
+};
+
+/**
+ * Permanently removes entries older than the retention period, and
+ * uploaded icon images nothing uses any more.
+ *
+ * @returns {Promise<void>}
+ */
+const purgeTrash = async () => {
+  const cutoff = Date.now() - state.trashRetentionDays * 24 * 60 * 60 * 1000;
+  await removeFromTrash(entry => entry.deletedAt < cutoff);
+  await pruneIconImages();
+};
+
+/**
+ * Lists the trash in the Settings modal.
+ */
+const renderTrash = () => {
+  elements.trashList.innerHTML = '';
+  elements.emptyTrashBtn.classList.toggle('hidden', state.trash.length === 0);
+
+  if (!state.trash.length) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-note';
+    empty.textContent = 'Nothing here';
+    elements.trashList.appendChild(empty);
+    return;
+  }
+
+  state.trash.forEach((entry) => {
+    const row = document.createElement('div');
+    row.className = 'trash-item';
+
+    const label = document.createElement('span');
+    label.className = 'trash-label';
+    if (entry.type === 'tab') {
+      label.textContent = `${entry.tab.name} (tab, ${entry.shortcuts.length} shortcuts)`;
+    } else if (isFolder(entry.shortcut)) {
+      label.textContent = `${entry.shortcut.name} (folder, ${entry.shortcuts.length} shortcuts)`;
+    } else {
+      label.textContent = entry.shortcut.name;
+    }
+    label.title = `Deleted ${new Date(entry.deletedAt).toLocaleString()}`;
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn save-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => restoreFromTrash(entry.id));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn delete-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => removeFromTrash(e => e.id === entry.id));
+
+    row.append(label, restoreBtn, deleteBtn);
+    elements.trashList.appendChild(row);
+  });
+};
+
+// ——— LINK HEALTH ———
+
+/**
+ * Finds what is wrong with a shortcut's link, according to the last
+ * check. A folder reports the first problem among its contents, broken
+ * links before redirects.
+ *
+ * @param {Object} shortcut - The shortcut.
+ * @returns {?{status: string, reason: string, location: ?string}} - The
+ *   problem, or null if the link is fine or was not checked yet.
+ */
+const getHealthProblem = (shortcut) => {
+  if (isFolder(shortcut)) {
+    const problems = expandShortcuts(shortcut.shortcuts)
+      .filter(item => !isFolder(item)).map(getHealthProblem).filter(Boolean);
+    return problems.find(problem => problem.status === 'broken') || problems[0] || null;
+  }
+
+  const health = state.health[shortcut.url];
+  return health && health.status !== 'ok' ? health : null;
+};
+
+/**
+ * Shows a status dot on a shortcut's icon when its link is broken or
+ * redirects to another host.
+ *
+ * @param {HTMLAnchorElement} anchor - The shortcut element.
+ * @param {Object} shortcut - The shortcut.
+ */
+const applyHealth = (anchor, shortcut) => {
+  const problem = getHealthProblem(shortcut);
+  const iconDiv = anchor.querySelector('.shortcut-icon');
+  iconDiv.classList.toggle('health-broken', Boolean(problem && problem.status === 'broken'));
+  iconDiv.classList.toggle('health-redirected', Boolean(problem && problem.status === 'redirected'));
+
+  const title = problem ? problem.reason : '';
+  if (anchor.title !== title) {
+    anchor.title = title;
+  }
+};
+
+/**
+ * Asks the background worker to check links now.
+ *
+ * @param {?string[]} urls - Check just these URLs; all if null.
+ * @returns {Promise<void>}
+ */
+const checkHealthNow = async (urls = null) => {
+  elements.checkHealthBtn.disabled = true;
+  elements.healthStatus.textContent = 'Checking links…';
+  try {
+    await chrome.runtime.sendMessage({ type: 'checkHealth', urls });
+  } catch (err) {
+    console.error('Error checking links:', err);
+  }
+  elements.checkHealthBtn.disabled = false;
+  renderHealthReport();
+};
+
+/**
+ * Asks for a new URL for a shortcut whose link is broken or has moved,
+ * suggesting where it redirects to, and checks the new URL.
+ *
+ * @param {string} id - Shortcut ID.
+ * @returns {Promise<void>}
+ */
+const updateBrokenUrl = async (id) => {
+  const shortcut = getShortcut(id);
+  if (!shortcut) return;
+
+  const problem = getHealthProblem(shortcut);
+  let url = (prompt(`New URL for "${shortcut.name}":`, (problem && problem.location) || shortcut.url) || '').trim();
+  if (!url) return;
+  try {
+    url = normalizeUrl(url, state.stripTracking);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  if (url === shortcut.url) return;
+
+  await updateShortcut(id, { url });
+  requestFavicon(url, true);
+  checkHealthNow([url]);
+};
+
+/**
+ * Lists shortcuts with broken or moved links in the settings modal.
+ */
+const renderHealthReport = () => {
+  elements.healthReport.innerHTML = '';
+
+  const checked = Object.values(state.health);
+  const lastChecked = Math.max(0, ...checked.map(health => health.checkedAt || 0));
+  if (!elements.checkHealthBtn.disabled) {
+    elements.healthStatus.textContent = lastChecked
+      ? `Last checked ${new Date(lastChecked).toLocaleString()}`
+      : 'Links have not been checked yet';
+  }
+
+  const problems = [...state.shortcuts.values()]
+    .filter(shortcut => !isFolder(shortcut) && getHealthProblem(shortcut));
+  if (!problems.length) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-note';
+    empty.textContent = checked.length ? 'All links work' : 'Nothing here';
+    elements.healthReport.appendChild(empty);
+    return;
+  }
+
+  problems.forEach((shortcut) => {
+    const row = document.createElement('div');
+    row.className = 'trash-item';
+
+    const label = document.createElement('span');
+    label.className = 'trash-label';
+    label.textContent = `${shortcut.name} (${getHealthProblem(shortcut).reason})`;
+    label.title = shortcut.url;
+
+    const updateBtn = document.createElement('button');
+    updateBtn.className = 'btn save-btn';
+    updateBtn.textContent = 'Update URL';
+    updateBtn.addEventListener('click', () => updateBrokenUrl(shortcut.id));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn delete-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      await deleteShortcut(shortcut.id);
+      renderHealthReport();
+    });
+
+    row.append(label, updateBtn, deleteBtn);
+    elements.healthReport.appendChild(row);
+  });
+};
+
+// ——— SEARCH SUGGESTIONS ———
+
+// Suggestion services of sites that have one, by host; they answer like
+// Google Suggest, with [query, [suggestions]]
+const SITE_SUGGEST_PROVIDERS = [
+  {
+    hosts: /(^|\.)wikipedia\.org$/,
+    url: (host, query) => `https://${host}/w/api.php?action=opensearch&format=json&search=${query}`,
+  },
+  {
+    hosts: /(^|\.)youtube\.com$/,
+    url: (host, query) => `https://suggestqueries.google.com/complete/search?client=firefox&ds=yt&q=${query}`,
+  },
+];
+
+// Most suggestions shown while searching a site
+const SITE_SUGGESTIONS_SIZE = 8;
+
+// Most shortcuts suggested for typed text
+const SHORTCUT_SUGGESTIONS_SIZE = 5;
+
+/**
+ * Fetches search suggestions from the Google Suggest API.
+ *
+ * @param {string} query - The user's input query.
+ * @returns {Promise<string[]>} - Array of suggestion strings.
+ */
+const fetchSuggestions = async (query) => {
+  try {
+    const resp = await fetch(
+      `https://suggestqueries.google.com/complete/search?client=firefox&q=${encodeURIComponent(query)}`
+    );
+    const [, suggestions] = await resp.json();
+    return suggestions || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Finds the shortcut whose keyword is the given text.
+ *
+ * @param {string} text - Text typed in the search box.
+ * @returns {?Object} - The shortcut or null.
+ */
+const findKeywordShortcut = (text) => {
+  const keyword = text.trim().toLowerCase();
+  if (!keyword) return null;
+  return [...state.shortcuts.values()]
+    .find(shortcut => !isFolder(shortcut) && shortcut.keyword === keyword) || null;
+};
+
+/**
+ * Scores how well typed text fuzzily matches a string: its characters
+ * must all appear in order. Runs of consecutive characters and matches at
+ * the start of a word score higher.
+ *
+ * @param {string} query - Typed text, without spaces.
+ * @param {string} text - Text to match against.
+ * @returns {number} - Score, or 0 if it does not match well enough.
+ */
+const fuzzyScore = (query, text) => {
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of query) {
+    const index = haystack.indexOf(char, from);
+    if (index < 0) return 0;
+
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || /[\s./_-]/.test(haystack[index - 1])) score += 3;
+    previous = index;
+    from = index + 1;
+  }
+  if (haystack.includes(query)) {
+    score += query.length * 2;
+  }
+
+  // Characters scattered with nothing else in common are noise
+  return score >= query.length * 2 ? score : 0;
+};
+
+/**
+ * Finds shortcuts in every tab whose name or URL fuzzily matches typed
+ * text, best and most used first.
+ *
+ * @param {string} text - Text typed in the search box.
+ * @returns {Object[]} - Matching shortcuts.
+ */
+const findMatchingShortcuts = (text) => {
+  const query = text.toLowerCase().replace(/\s+/g, '');
+  if (query.length < 2) return [];
+
+  return state.tabs
+    .flatMap(tab => expandShortcuts(tab.shortcuts))
+    .filter(shortcut => !isFolder(shortcut))
+    .map(shortcut => ({
+      shortcut,
+      score: Math.max(
+        fuzzyScore(query, shortcut.name),
+        fuzzyScore(query, shortcut.url.replace(/^https?:\/\/(www\.)?/i, '')),
+      ),
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score
+      || getUsage(b.shortcut.id).score - getUsage(a.shortcut.id).score)
+    .slice(0, SHORTCUT_SUGGESTIONS_SIZE)
+    .map(match => match.shortcut);
+};
+
+/**
+ * Fills a site's search URL template with search terms.
+ *
+ * @param {string} template - URL with %s where the terms go.
+ * @param {string} query - Search terms.
+ * @returns {string} - The search URL.
+ */
+const fillSearchTemplate = (template, query) => template.replace(/%s/g, encodeURIComponent(query));
+
+/**
+ * Finds the shortcut the search box is searching, if any. If that
+ * shortcut was deleted or lost its search URL, the box goes back to
+ * searching Google.
+ *
+ * @returns {?Object} - The shortcut or null.
+ */
+const getSearchSite = () => {
+  if (!state.searchSiteId) return null;
+
+  const shortcut = getShortcut(state.searchSiteId);
+  if (!shortcut || !shortcut.searchUrl) {
+    exitSiteSearch();
+    return null;
+  }
+  return shortcut;
+};
+
+/**
+ * Switches the search box to searching a shortcut's site, like Tab after
+ * a keyword in Chrome's address bar.
+ *
+ * @param {Object} shortcut - Shortcut with a search URL.
+ */
+const enterSiteSearch = (shortcut) => {
+  state.searchSiteId = shortcut.id;
+  elements.searchSiteChip.textContent = `Search ${shortcut.name}`;
+  elements.searchSiteChip.classList.remove('hidden');
+  elements.searchInput.value = '';
+  elements.searchInput.placeholder = '';
+  elements.searchInput.style.paddingLeft = `${elements.searchSiteChip.offsetWidth + 56}px`;
+  elements.suggestionsList.classList.add('hidden');
+};
+
+/**
+ * Switches the search box back to searching Google.
+ */
+const exitSiteSearch = () => {
+  state.searchSiteId = null;
+  elements.searchSiteChip.classList.add('hidden');
+  elements.searchInput.placeholder = 'Search Google or type a URL';
+  elements.searchInput.style.paddingLeft = '';
+  elements.suggestionsList.classList.add('hidden');
+};
+
+/**
+ * Opens a shortcut picked from the search box, the way its tile would,
+ * or searches its site.
+ *
+ * @param {Object} shortcut - The shortcut.
+ * @param {?string} query - Search terms for the shortcut's search URL.
+ */
+const openShortcutFromSearch = (shortcut, query = null) => {
+  recordShortcutUse(shortcut.id);
+  exitSiteSearch();
+  elements.searchInput.value = '';
+  openUrl(query ? fillSearchTemplate(shortcut.searchUrl, query) : shortcut.url, getOpenMode(shortcut));
+};
+
+/**
+ * Fetches suggestions while searching a site: from the site's own
+ * suggestion service if it has one, otherwise from pages of the site in
+ * the browsing history.
+ *
+ * @param {Object} shortcut - The shortcut being searched.
+ * @param {string} query - The user's input query.
+ * @returns {Promise<{text: string, url: string, hint: ?string}[]>} - Suggested links.
+ */
+const fetchSiteSuggestions = async (shortcut, query) => {
+  const host = getHostname(shortcut.url) || '';
+  const provider = SITE_SUGGEST_PROVIDERS.find(p => p.hosts.test(host));
+  if (provider) {
+    try {
+      const resp = await fetch(provider.url(host, encodeURIComponent(query)));
+      const [, suggestions] = await resp.json();
+      if (suggestions && suggestions.length) {
+        return suggestions.slice(0, SITE_SUGGESTIONS_SIZE)
+          .map(text => ({ text, url: fillSearchTemplate(shortcut.searchUrl, text), hint: null }));
+      }
+    } catch {
+      // Fall back to history
+    }
+  }
+
+  try {
+    const site = host.replace(/^www\./, '');
+    const items = await chrome.history.search({ text: query, startTime: 0, maxResults: 100 });
+    return items
+      .filter(item => (getHostname(item.url) || '').replace(/^www\./, '') === site)
+      .slice(0, SITE_SUGGESTIONS_SIZE)
+      .map(item => ({ text: item.title || item.url, url: item.url, hint: item.title ? item.url : null }));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Highlights the suggestion at the current selectedIndex.
+ *
+ * @param {HTMLElement[]} items - Array of suggestion elements.
+ */
+const updateHighlight = (items) => {
+  items.forEach((el, i) => {
+    if (i === state.selectedIndex) {
+      el.classList.add('highlight');
+      el.scrollIntoView({ block: 'nearest' });
+      el.focus();
+    } else {
+      el.classList.remove('highlight');
+    }
+  });
+};
+
+/**
+ * Creates a suggestion element.
+ *
+ * @param {string} text - Suggestion text.
+ * @param {string} url - Where the suggestion leads.
+ * @param {?string} hint - Dimmed text shown after it.
+ * @returns {HTMLAnchorElement}
+ */
+const createSuggestionItem = (text, url, hint = null) => {
+  const link = document.createElement('a');
+  link.className = 'suggestion-item';
+  link.href = url;
+  link.textContent = text;
+
+  if (hint) {
+    const hintSpan = document.createElement('span');
+    hintSpan.className = 'suggestion-hint';
+    hintSpan.textContent = hint;
+    link.appendChild(hintSpan);
+  }
+  return link;
+};
+
+/**
+ * Creates a suggestion element for a shortcut, with its icon and tab.
+ *
+ * @param {Object} shortcut - The shortcut.
+ * @param {boolean} isKeyword - Whether its keyword was typed.
+ * @returns {HTMLAnchorElement}
+ */
+const createShortcutSuggestion = (shortcut, isKeyword) => {
+  const tab = getTabOfShortcut(shortcut.id);
+  const hints = [tab ? tab.name : null, getHostname(shortcut.url)];
+  if (isKeyword && shortcut.searchUrl) {
+    hints.push('Press Tab to search');
+  }
+
+  const link = createSuggestionItem(shortcut.name, shortcut.url, hints.filter(Boolean).join(' · '));
+  link.classList.add('shortcut-suggestion');
+
+  const iconDiv = document.createElement('div');
+  iconDiv.className = 'suggestion-icon';
+  renderShortcutIcon(iconDiv, shortcut);
+  link.prepend(iconDiv);
+
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    openShortcutFromSearch(shortcut);
+  });
+  return link;
+};
+
+/**
+ * Renders search suggestions as clickable <a> elements, below a
+ * "Shortcuts" section with the shortcut whose keyword was typed and
+ * other matching shortcuts, if any.
+ *
+ * @param {Array<string|{text: string, url: string, hint: ?string}>} suggestions -
+ *   Search terms for Google, or ready-made links.
+ * @param {?Object} keywordShortcut - Shortcut whose keyword was typed.
+ * @param {Object[]} matches - Shortcuts matching the typed text.
+ */
+const renderSuggestions = (suggestions, keywordShortcut = null, matches = []) => {
+  elements.suggestionsList.innerHTML = '';
+  state.selectedIndex = -1;
+
+  const shortcuts = keywordShortcut
+    ? [keywordShortcut, ...matches.filter(shortcut => shortcut.id !== keywordShortcut.id)]
+    : matches;
+  if (!suggestions.length && !shortcuts.length) {
+    elements.suggestionsList.classList.add('hidden');
+    return;
+  }
+
+  if (shortcuts.length) {
+    const heading = document.createElement('div');
+    heading.className = 'suggestion-heading';
+    heading.textContent = 'Shortcuts';
+    elements.suggestionsList.appendChild(heading);
+
+    shortcuts.forEach((shortcut) => {
+      elements.suggestionsList.appendChild(createShortcutSuggestion(shortcut, shortcut === keywordShortcut));
+    });
+  }
+
+  suggestions.forEach((suggestion) => {
+    const link = typeof suggestion === 'string'
+      ? createSuggestionItem(suggestion, `https://www.google.com/search?q=${encodeURIComponent(suggestion)}`)
+      : createSuggestionItem(suggestion.text, suggestion.url, suggestion.hint);
+    elements.suggestionsList.appendChild(link);
+  });
+
+  elements.suggestionsList.classList.remove('hidden');
+};
+
+/**
+ * Inserts <link rel="dns-prefetch"> and <link rel="preconnect"> tags
+ * for each saved favorite site into the document <head>.
+ *
+ * @returns {Promise<void>}
+ */
+const prefetchAndPreload = async () => {
+  const items = await getStorageValue(STORAGE_KEYS.SHORTCUTS, []);
+  
+  items.forEach(({ url }) => {
+    try {
+      const { hostname, protocol } = new URL(url);
+      
+      // DNS Prefetch
+      const dns = document.createElement('link');
+      dns.rel = 'dns-prefetch';
+      dns.href = `//${hostname}`;
+      document.head.appendChild(dns);
+      
+      // Preconnect
+      const preconnect = document.createElement('link');
+      preconnect.rel = 'preconnect';
+      preconnect.href = `${protocol}//${hostname}`;
+      preconnect.crossOrigin = 'anonymous';
+      document.head.appendChild(preconnect);
+    } catch {
+      // Ignore invalid URLs
+    }
+  });
+};
+
+// ——— TAB MANAGEMENT ———
+
+/**
+ * Creates the tabs container and adds it to the DOM
+ * @returns {void}
+ */
+const createTabsContainer = () => {
+  // Create tabs container
+  const tabsRow = document.createElement('div');
+  tabsRow.className = 'tabs-container';
+  tabsRow.id = 'tabsContainer';
+  
+  // Style it with more visible styles
+  tabsRow.style.display = 'flex';
+  tabsRow.style.justifyContent = 'center';
+  tabsRow.style.gap = '16px';
+  tabsRow.style.marginTop = '20px';
+  tabsRow.style.marginBottom = '20px'; 
+  tabsRow.style.width = '100%';
+  tabsRow.style.maxWidth = '1000px';
+  tabsRow.style.overflowX = 'auto';
+  tabsRow.style.padding = '12px 0';
+  tabsRow.style.borderRadius = '8px';
+  
+  // Create add tab button
+  const addTabBtn = document.createElement('button');
+  addTabBtn.textContent = '+ New Tab';
+  addTabBtn.className = 'tab-button add-tab';
+  addTabBtn.style.background = 'rgba(138, 180, 248, 0.3)';
+  addTabBtn.style.border = 'none';
+  addTabBtn.style.borderRadius = '12px';
+  addTabBtn.style.padding = '8px 16px';
+  addTabBtn.style.cursor = 'pointer';
+  addTabBtn.style.color = '#e8eaed';
+  addTabBtn.style.fontWeight = '600';
+  addTabBtn.style.fontSize = '13px';
+  
+  // Add the tab button to the tabs container
+  tabsRow.appendChild(addTabBtn);
+  
+  // Create a wrapper if needed
+  const wrapper = document.createElement('div');
+  wrapper.style.display = 'flex';
+  wrapper.style.justifyContent = 'center';
+  wrapper.style.width = '100%';
+  wrapper.appendChild(tabsRow);
+  
+  // Insert after the shortcuts container
+  if (elements.container) {
+    elements.container.parentNode.insertBefore(wrapper, elements.container.nextSibling);
+  }
+  
+  // Store references
+  elements.tabsContainer = tabsRow;
+  elements.addTabBtn = addTabBtn;
+  
+  console.log('Tabs container created:', tabsRow); // Debugging
+};
+
+/**
+ * Opens a modal to add or edit a tab
+ * @param {boolean} edit - Whether we're editing an existing tab
+ * @param {string} tabId - ID of the tab to edit
+ */
+const openAddTabModal = (edit = false, tabId = null) => {
+  // Store the current tab ID in the state for reference when saving
+  state.currentTabId = tabId;
+  
+  // Create modal if it doesn't exist
+  let tabModal = document.getElementById('tabModal');
+  
+  if (!tabModal) {
+    tabModal = document.createElement('div');
+    tabModal.id = 'tabModal';
+    tabModal.className = 'modal hidden';
+    
+    tabModal.innerHTML = `
+      <div class="modal-content">
+        <h2 id="tabModalTitle">Add Tab</h2>
+        <label for="tabName">Tab Name:</label>
+        <input type="text" id="tabName" placeholder="Tab Name"/>
+        <label for="tabColor">Color:</label>
+        <select id="tabColor" class="modal-select">
+          ${Object.keys(TAB_COLORS).map(color => `<option value="${color}">${color.charAt(0).toUpperCase()}${color.slice(1)}</option>`).join('')}
+        </select>
+        <label for="tabSortMode">Sort shortcuts:</label>
+        <select id="tabSortMode" class="modal-select">
+          ${Object.keys(SORT_MODES).map(mode => `<option value="${mode}">${SORT_MODES[mode]}</option>`).join('')}
+        </select>
+        <label class="checkbox-label">
+          <input type="checkbox" id="tabOpenInNewWindow"/> Open all in a new window
+        </label>
+        <button id="saveTabBtn" class="btn save-btn">Save</button>
+        <button id="cancelTabBtn" class="btn cancel-btn">Cancel</button>
+        <button id="deleteTabBtn" class="btn delete-btn" style="display: none;">Delete</button>
+      </div>
+    `;
+    
+    document.body.appendChild(tabModal);
+    
+    // Add event listeners - use the state.currentTabId value, not the tabId parameter
+    document.getElementById('saveTabBtn').addEventListener('click', () => {
+      const isEdit = !!state.currentTabId;
+      saveTab(isEdit, state.currentTabId);
+    });
+    
+    document.getElementById('cancelTabBtn').addEventListener('click', () => {
+      tabModal.classList.add('hidden');
+    });
+    
+    document.getElementById('deleteTabBtn').addEventListener('click', () => {
+      tabModal.classList.add('hidden');
+      openDeleteTabModal(state.currentTabId);
+    });
+  }
+  
+  // Set modal title and input values
+  const tabModalTitle = document.getElementById('tabModalTitle');
+  const tabNameInput = document.getElementById('tabName');
+  const tabColorSelect = document.getElementById('tabColor');
+  const tabNewWindowInput = document.getElementById('tabOpenInNewWindow');
+  const tabSortSelect = document.getElementById('tabSortMode');
+  const deleteTabBtn = document.getElementById('deleteTabBtn');
+  
+  if (edit && tabId) {
+    tabModalTitle.textContent = 'Edit Tab';
+    const tab = state.tabs.find(t => t.id === tabId);
+    tabNameInput.value = tab ? tab.name : '';
+    tabColorSelect.value = (tab && tab.color) || 'grey';
+    tabNewWindowInput.checked = Boolean(tab && tab.openInNewWindow);
+    tabSortSelect.value = tab && !isManuallySorted(tab) ? tab.sortMode : 'manual';
+    
+    // Only show delete button if not the "Ungrouped" tab
+    if (isUngroupedTab(tab)) {
+      deleteTabBtn.style.display = 'none';
+    } else {
+      deleteTabBtn.style.display = 'inline-block';
+    }
+  } else {
+    tabModalTitle.textContent = 'Add Tab';
+    tabNameInput.value = '';
+    tabColorSelect.value = 'grey';
+    tabNewWindowInput.checked = false;
+    tabSortSelect.value = 'manual';
+    deleteTabBtn.style.display = 'none';
+  }
+  
+  // Show modal
+  tabModal.classList.remove('hidden');
+};
+
+/**
+ * Saves a new tab or updates an existing one
+ * @param {boolean} edit - Whether we're editing an existing tab
+ * @param {string} tabId - ID of the tab to edit
+ */
+const saveTab = async (edit = false, tabId = null) => {
+  const tabNameInput = document.getElementById('tabName');
+  const tabName = tabNameInput.value.trim();
+  const color = document.getElementById('tabColor').value;
+  const openInNewWindow = document.getElementById('tabOpenInNewWindow').checked;
+  const sortMode = document.getElementById('tabSortMode').value;
+  
+  if (!tabName) {
+    alert('Please enter a tab name');
+    return;
+  }
+  
+  await runCommand(edit ? 'Edit tab' : 'Add tab', async () => {
+    if (edit && tabId) {
+      // Update existing tab
+      const tabIndex = state.tabs.findIndex(t => t.id === tabId);
+      if (tabIndex !== -1) {
+        Object.assign(state.tabs[tabIndex], { name: tabName, color, openInNewWindow, sortMode });
+      }
+    } else {
+      // Add new tab
+      const newTab = {
+        id: generateId(),
+        name: tabName,
+        color,
+        openInNewWindow,
+        sortMode,
+        shortcuts: []
+      };
+      state.tabs.push(newTab);
+      
+      // If this is the first tab, make it active
+      if (state.tabs.length === 1) {
+        state.activeTabId = newTab.id;
+      }
+    }
+    
+    // Save tabs and update UI
+    await saveTabs();
+    renderTabs();
+    renderShortcuts();
+  });
+  
+  // Close modal
+  document.getElementById('tabModal').classList.add('hidden');
+};
+
+/**
+ * Opens a dialog asking what to do with a tab's shortcuts before
+ * deleting it: move them to another tab, move them to Ungrouped, or
+ * delete them along with the tab.
+ * @param {string} tabId - ID of the tab to delete
+ */
+const openDeleteTabModal = (tabId) => {
+  const tab = state.tabs.find(t => t.id === tabId);
+  if (!tab || isUngroupedTab(tab)) return;
+
+  // Create modal if it doesn't exist
+  let deleteTabModal = document.getElementById('deleteTabModal');
+
+  if (!deleteTabModal) {
+    deleteTabModal = document.createElement('div');
+    deleteTabModal.id = 'deleteTabModal';
+    deleteTabModal.className = 'modal hidden';
+
+    deleteTabModal.innerHTML = `
+      <div class="modal-content">
+        <h2 id="deleteTabTitle">Delete Tab</h2>
+        <p id="deleteTabSummary" class="dialog-text"></p>
+        <div id="deleteTabOptions">
+          <label class="checkbox-label">
+            <input type="radio" name="deleteTabMode" value="move" checked/> Move them to:
+          </label>
+          <select id="deleteTabTarget" class="modal-select"></select>
+          <label class="checkbox-label">
+            <input type="radio" name="deleteTabMode" value="ungrouped"/> Move them to Ungrouped
+          </label>
+          <label class="checkbox-label">
+            <input type="radio" name="deleteTabMode" value="delete"/> Delete them too
+          </label>
+        </div>
+        <button id="confirmDeleteTabBtn" class="btn delete-btn">Delete</button>
+        <button id="cancelDeleteTabBtn" class="btn cancel-btn">Cancel</button>
+      </div>
+    `;
+
+    document.body.appendChild(deleteTabModal);
+
+    document.getElementById('deleteTabTarget').addEventListener('change', () => {
+      deleteTabModal.querySelector('input[value="move"]').checked = true;
+    });
+
+    document.getElementById('confirmDeleteTabBtn').addEventListener('click', () => {
+      const mode = deleteTabModal.querySelector('input[name="deleteTabMode"]:checked').value;
+      deleteTab(state.currentTabId, mode, document.getElementById('deleteTabTarget').value);
+    });
+
+    document.getElementById('cancelDeleteTabBtn').addEventListener('click', () => {
+      deleteTabModal.classList.add('hidden');
+    });
+  }
+
+  state.currentTabId = tabId;
+  const count = tab.shortcuts.length;
+
+  document.getElementById('deleteTabTitle').textContent = `Delete "${tab.name}"?`;
+  document.getElementById('deleteTabSummary').textContent = count
+    ? `This tab has ${count} shortcut${count === 1 ? '' : 's'}. What should happen to ${count === 1 ? 'it' : 'them'}?`
+    : 'This tab has no shortcuts.';
+  document.getElementById('deleteTabOptions').classList.toggle('hidden', count === 0);
+
+  // Offer every other user tab as a destination
+  const target = document.getElementById('deleteTabTarget');
+  target.innerHTML = '';
+  const otherTabs = state.tabs.filter(t => t.id !== tabId && !isUngroupedTab(t));
+  otherTabs.forEach((t) => {
+    const option = document.createElement('option');
+    option.value = t.id;
+    option.textContent = t.name;
+    target.appendChild(option);
+  });
+
+  const moveOption = deleteTabModal.querySelector('input[value="move"]');
+  moveOption.disabled = otherTabs.length === 0;
+  target.disabled = otherTabs.length === 0;
+  deleteTabModal.querySelector(`input[value="${otherTabs.length ? 'move' : 'ungrouped'}"]`).checked = true;
+
+  deleteTabModal.classList.remove('hidden');
+};
+
+/**
+ * Deletes a tab, moving it to the trash. Its shortcuts are moved to the
+ * end of another tab or of Ungrouped, or go to the trash with the tab.
+ * If the target tab no longer exists they are moved to Ungrouped.
+ * @param {string} tabId - ID of the tab to delete
+ * @param {string} mode - 'move', 'ungrouped' or 'delete'
+ * @param {?string} targetTabId - Destination tab when mode is 'move'
+ */
+const deleteTab = async (tabId, mode = 'ungrouped', targetTabId = null) => {
+  const tab = state.tabs.find(t => t.id === tabId);
+  if (!tab || isUngroupedTab(tab)) return;
+
+  const count = tab.shortcuts.length;
+  const destination = mode === 'delete' ? null
+    : (mode === 'move' && state.tabs.find(t => t.id === targetTabId && t.id !== tabId)) || getUngroupedTab();
+
+  let label = `Deleted tab "${tab.name}"`;
+  if (count && mode === 'delete') {
+    label += ` and ${count} shortcut${count === 1 ? '' : 's'}`;
+  } else if (count && destination) {
+    label += `, moved ${count} shortcut${count === 1 ? '' : 's'} to "${destination.name}"`;
+  }
+
+  await runCommand(label, async () => {
+    if (mode !== 'delete' && destination) {
+      destination.shortcuts.push(...tab.shortcuts);
+      tab.shortcuts = [];
+    }
+
+    // Shortcuts still in the tab go to the trash together with it
+    trashTab(tabId);
+    tab.shortcuts.forEach(forgetShortcut);
+    state.tabs = state.tabs.filter(t => t.id !== tabId);
+    
+    // If we deleted the active tab, switch to where its shortcuts went
+    if (state.activeTabId === tabId) {
+      state.activeTabId = (destination || state.tabs[0]).id;
+    }
+    
+    // Save tabs and update UI
+    await saveShortcuts();
+    await saveTabs();
+    await saveTrash();
+    renderTabs();
+    renderShortcuts();
+  }, { destructive: true });
+  
+  // Close modal
+  document.getElementById('deleteTabModal').classList.add('hidden');
+};
+
+/**
+ * Saves tabs to storage
+ */
+const saveTabs = async () => {
+  await setStorageValue(STORAGE_KEYS.TABS, state.tabs);
+  await setStorageValue(STORAGE_KEYS.ACTIVE_TAB, state.activeTabId);
+};
+
+/**
+ * Creates a tab button element
+ * @param {Object} tab - Tab object
+ * @returns {HTMLElement} - Tab button element
+ */
+const createTabElement = (tab) => {
+  const tabEl = document.createElement('button');
+  tabEl.className = 'tab-button';
+  tabEl.textContent = tab.name;
+  tabEl.dataset.tabId = tab.id;
+  tabEl.title = tab.name;
+  tabEl.draggable = !isUngroupedTab(tab); // Make tab draggable except Ungrouped
+  
+  // Style the tab
+  const isActive = state.activeTabId === tab.id;
+  tabEl.style.background = isActive
+    ? 'rgba(138, 180, 248, 0.5)' 
+    : 'rgba(60, 64, 67, 0.5)';
+  tabEl.style.border = isActive ? '2px solid #fff' : 'none';
+  tabEl.style.borderRadius = '12px'; // Match shortcut-icon border-radius
+  tabEl.style.padding = '8px 16px';
+  tabEl.style.cursor = isUngroupedTab(tab) ? 'pointer' : 'grab'; // Show grab cursor to indicate draggable
+  tabEl.style.color = '#e8eaed';
+  tabEl.style.position = 'relative';
+  tabEl.style.fontWeight = isActive ? 'bold' : 'normal';
+  if (TAB_COLORS[tab.color]) {
+    tabEl.style.borderLeft = `4px solid ${TAB_COLORS[tab.color]}`;
+  }
+  
+  // Generated tabs can only be switched to
+  if (isGeneratedTab(tab.id)) {
+    tabEl.draggable = false;
+    tabEl.style.cursor = 'pointer';
+    tabEl.addEventListener('click', () => setActiveTab(tab.id));
+    return tabEl;
+  }
+  
+  // Add edit icon using SVG namespace (same as shortcut edit icon)
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.classList.add('edit-icon');
+  svg.setAttribute('viewBox', '0 0 24 24');
+  
+  // Style the edit icon like the shortcut edit icon
+  svg.style.display = 'none';
+  svg.style.position = 'absolute';
+  svg.style.top = '0';
+  svg.style.right = '0';
+  svg.style.transform = 'translate(25%, -25%)';
+  svg.style.backgroundColor = '#fff';
+  svg.style.borderRadius = '50%';
+  svg.style.padding = '4px';
+  svg.style.width = '20px';
+  svg.style.height = '20px';
+  svg.style.cursor = 'pointer';
+  
+  const path1 = document.createElementNS(svgNS, 'path');
+  path1.setAttribute('d', 'M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25z');
+  
+  const path2 = document.createElementNS(svgNS, 'path');
+  path2.setAttribute(
+    'd',
+    'M20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34' +
+    'a.9959.9959 0 00-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z'
+  );
+  
+  // Set path fill
+  path1.style.fill = '#202124';
+  path2.style.fill = '#202124';
+  
+  svg.append(path1, path2);
+  tabEl.appendChild(svg);
+  
+  // Add "open all" icon in the opposite corner, styled like the edit icon
+  const openAllSvg = svg.cloneNode(false);
+  openAllSvg.classList.replace('edit-icon', 'open-all-icon');
+  openAllSvg.style.right = 'auto';
+  openAllSvg.style.left = '0';
+  openAllSvg.style.transform = 'translate(-25%, -25%)';
+  
+  const openAllTitle = document.createElementNS(svgNS, 'title');
+  openAllTitle.textContent = 'Open all as a tab group';
+  
+  const openAllPath = document.createElementNS(svgNS, 'path');
+  openAllPath.setAttribute(
+    'd',
+    'M19 19H5V5h7V3H5a2 2 0 00-2 2v14a2 2 0 002 2h14c1.1 0 2-.9 2-2v-7h-2v7z' +
+    'M14 3v2h3.59l-9.83 9.83 1.41 1.41L19 6.41V10h2V3h-7z'
+  );
+  openAllPath.style.fill = '#202124';
+  
+  openAllSvg.append(openAllTitle, openAllPath);
+  tabEl.appendChild(openAllSvg);
+  
+  // Show edit and open all icons on hover
+  tabEl.addEventListener('mouseenter', () => {
+    svg.style.display = 'block';
+    openAllSvg.style.display = 'block';
+  });
+  
+  tabEl.addEventListener('mouseleave', () => {
+    svg.style.display = 'none';
+    openAllSvg.style.display = 'none';
+  });
+  
+  // Tab click - switch active tab
+  tabEl.addEventListener('click', (e) => {
+    if (e.target !== svg && !svg.contains(e.target)) {
+      setActiveTab(tab.id);
+    }
+  });
+  
+  // Open all icon click - open the tab's shortcuts as a tab group
+  openAllSvg.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openTabAsGroup(tab.id);
+  });
+  
+  // Edit icon click - edit tab
+  svg.addEventListener('click', (e) => {
+    e.stopPropagation();
+    
+    // Change fill color on hover
+    const paths = svg.querySelectorAll('path');
+    paths.forEach(p => {
+      p.style.fill = '#8ab4f8';
+    });
+    
+    openAddTabModal(true, tab.id);
+  });
+  
+  // Add drag and drop event listeners
+  tabEl.addEventListener('dragstart', handleTabDragStart);
+  tabEl.addEventListener('dragend', handleTabDragEnd);
+  tabEl.addEventListener('dragover', handleTabDragOver);
+  tabEl.addEventListener('dragleave', handleTabDragLeave);
+  tabEl.addEventListener('drop', handleTabDrop);
+  
+  return tabEl;
+};
+
+/**
+ * Opens every shortcut in a tab, including those in folders, as a Chrome
+ * tab group named and colored after the tab. The group goes into the
+ * current window, or a new one if the tab is set to open in a new window.
+ * @param {string} tabId - ID of the tab to open
+ */
+const openTabAsGroup = async (tabId) => {
+  const tab = state.tabs.find(t => t.id === tabId);
+  if (!tab) return;
+
+  const urls = expandShortcuts(tab.shortcuts)
+    .filter(shortcut => !isFolder(shortcut))
+    .map(shortcut => shortcut.url);
+  if (!urls.length) {
+    alert(`"${tab.name}" has no shortcuts to open`);
+    return;
+  }
+
+  try {
+    let tabIds;
+    let windowId;
+    if (tab.openInNewWindow) {
+      const win = await chrome.windows.create({ url: urls, focused: true });
+      tabIds = win.tabs.map(t => t.id);
+      windowId = win.id;
+    } else {
+      // Open one at a time so the group keeps the shortcuts' order
+      const opened = [];
+      for (const url of urls) {
+        opened.push(await chrome.tabs.create({ url, active: opened.length === 0 }));
+      }
+      tabIds = opened.map(t => t.id);
+      windowId = opened[0].windowId;
+    }
+
+    const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+    await chrome.tabGroups.update(groupId, {
+      title: tab.name,
+      color: TAB_COLORS[tab.color] ? tab.color : 'grey',
+    });
+  } catch (err) {
+    console.error('Error opening tab group:', err);
+    alert('Could not open the shortcuts as a tab group');
+  }
+};
+
+/**
+ * Renders all tabs in the tabs container
+ */
+const renderTabs = () => {
+  // Clear existing tabs except the add button
+  while (elements.tabsContainer.firstChild) {
+    if (elements.tabsContainer.firstChild === elements.addTabBtn) {
+      break;
+    }
+    elements.tabsContainer.removeChild(elements.tabsContainer.firstChild);
+  }
+  
+  // Generated tabs come first when they are turned on
+  if (state.showFrequentTab) {
+    elements.tabsContainer.insertBefore(createTabElement(getFrequentTab()), elements.addTabBtn);
+  }
+  state.siteTabs.forEach((id) => {
+    const tabEl = createTabElement({ id, name: SITE_TABS[id] });
+    elements.tabsContainer.insertBefore(tabEl, elements.addTabBtn);
+  });
+  
+  // Find the Ungrouped tab
+  const ungroupedTab = getUngroupedTab();
+  
+  // First add the Ungrouped tab if it exists
+  if (ungroupedTab) {
+    const tabEl = createTabElement(ungroupedTab);
+    elements.tabsContainer.insertBefore(tabEl, elements.addTabBtn);
+  }
+  
+  // Then add all other tabs
+  state.tabs.forEach(tab => {
+    if (!isUngroupedTab(tab)) {
+      const tabEl = createTabElement(tab);
+      elements.tabsContainer.insertBefore(tabEl, elements.addTabBtn);
+    }
+  });
+  
+  // Always show the tabs container, even if there are no tabs
+  // The "New Tab" button should always be visible
+  elements.tabsContainer.style.display = 'flex';
+};
+
+/**
+ * Sets the active tab and updates the UI
+ * @param {string} tabId - ID of the tab to make active
+ */
+const setActiveTab = async (tabId) => {
+  state.activeTabId = tabId;
+  // Generated tabs are not remembered; new pages open on a real tab
+  if (!isGeneratedTab(tabId)) {
+    await setStorageValue(STORAGE_KEYS.ACTIVE_TAB, tabId);
+  }
   renderTabs();
-  updateVisibleShortcuts();
+  renderShortcuts();
+  renderSiteEntries();
+};
+
+/**
+ * Updates the modal to include tab selection
+ * @param {?string} selectedTabId - Tab to preselect; defaults to Ungrouped
+ */
+const updateShortcutModal = (selectedTabId = null) => {
+  // Add tab selection field to shortcut modal
+  const modalContent = document.querySelector('#modal .modal-content');
+  let tabSelection = document.getElementById('tabSelection');
+
+  if (state.tabs.length === 0) {
+    // Remove tab selection if no tabs
+    if (tabSelection) tabSelection.remove();
+    return;
+  }
+
+  if (!tabSelection) {
+    tabSelection = document.createElement('div');
+    tabSelection.id = 'tabSelection';
+    tabSelection.style.marginBottom = '16px';
+    
+    const label = document.createElement('label');
+    label.setAttribute('for', 'tabSelect');
+    label.textContent = 'Tab:';
+    
+    const select = document.createElement('select');
+    select.id = 'tabSelect';
+    select.style.width = '100%';
+    select.style.padding = '8px';
+    select.style.marginBottom = '16px';
+    select.style.backgroundColor = '#202124';
+    select.style.border = '1px solid #5f6368';
+    select.style.borderRadius = '4px';
+    select.style.color = '#e8eaed';
+    
+    tabSelection.appendChild(label);
+    tabSelection.appendChild(select);
+    
+    // Insert after the URL input
+    const urlInput = document.getElementById('siteURL');
+    modalContent.insertBefore(tabSelection, urlInput.nextSibling);
+  }
+
+  const select = document.getElementById('tabSelect');
+  select.innerHTML = '';
+
+  // Ungrouped first, then the rest of the tabs
+  const ungroupedTab = getUngroupedTab();
+  [ungroupedTab, ...state.tabs.filter(tab => tab !== ungroupedTab)]
+    .filter(Boolean)
+    .forEach((tab) => {
+      const option = document.createElement('option');
+      option.value = tab.id;
+      option.textContent = tab.name;
+      select.appendChild(option);
+    });
+
+  // Preselect the requested tab if it exists, otherwise Ungrouped
+  if (selectedTabId && state.tabs.some(tab => tab.id === selectedTabId)) {
+    select.value = selectedTabId;
+  } else if (ungroupedTab) {
+    select.value = ungroupedTab.id;
+  }
+};
+
+/**
+ * Loads tabs from storage
+ */
+const loadTabs = async () => {
+  state.revision = await getStorageValue(STORAGE_KEYS.REVISION, 0);
+  state.tabs = await getStorageValue(STORAGE_KEYS.TABS, []);
+  // Generated tabs are never stored, so stay on one while it is shown
+  if (!isGeneratedTab(state.activeTabId)) {
+    state.activeTabId = await getStorageValue(STORAGE_KEYS.ACTIVE_TAB, null);
+  }
   
-  // Close modal
-  document.getElementById('tabModal').classList.add('hidden');
+  // A missing Ungrouped tab is restored by repairBoard() in loadShortcuts()
+  renderTabs();
+};
+
+// ——— SCHEMA MIGRATIONS ———
+
+/**
+ * Migrates the stored board to the current schema version, if needed.
+ *
+ * @returns {Promise<void>}
+ */
+const runMigrations = () => withBoardLock(async () => {
+  const stored = await chrome.storage.local.get([
+    STORAGE_KEYS.SCHEMA_VERSION,
+    STORAGE_KEYS.SHORTCUTS,
+    STORAGE_KEYS.TABS,
+    STORAGE_KEYS.ACTIVE_TAB,
+    STORAGE_KEYS.REVISION,
+  ]);
+
+  const fromVersion = stored[STORAGE_KEYS.SCHEMA_VERSION] || 0;
+  if (fromVersion >= SCHEMA_VERSION) return;
+
+  const data = migrateData({
+    shortcuts: stored[STORAGE_KEYS.SHORTCUTS] || [],
+    tabs: stored[STORAGE_KEYS.TABS] || [],
+    activeTab: stored[STORAGE_KEYS.ACTIVE_TAB] || null,
+  }, fromVersion);
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.SHORTCUTS]: data.shortcuts,
+    [STORAGE_KEYS.TABS]: data.tabs,
+    [STORAGE_KEYS.ACTIVE_TAB]: data.activeTab,
+    [STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION,
+    [STORAGE_KEYS.REVISION]: (stored[STORAGE_KEYS.REVISION] || 0) + 1,
+  });
+});
+
+// ——— BACKUP & RESTORE ———
+
+/**
+ * Collects shortcuts, tabs, settings and cached favicons into a
+ * versioned backup document.
+ *
+ * @returns {Promise<Object>} - The backup document.
+ */
+const buildBackup = async () => {
+  // Only what goes into the backup is read; storage also holds thumbnails
+  const stored = await chrome.storage.local.get([
+    STORAGE_KEYS.SHORTCUTS, STORAGE_KEYS.TABS, STORAGE_KEYS.ACTIVE_TAB, STORAGE_KEYS.SCHEMA_VERSION,
+    STORAGE_KEYS.UNSPLASH_KEY, STORAGE_KEYS.SEARCH_QUERY, STORAGE_KEYS.IPIFY_KEY,
+    STORAGE_KEYS.DEFAULT_OPEN_IN, STORAGE_KEYS.TILE_STYLE,
+  ]);
+  const storedShortcuts = stored[STORAGE_KEYS.SHORTCUTS] || [];
+  const imageKey = shortcut => shortcut.icon && shortcut.icon.image && `${ICON_IMAGE_PREFIX}${shortcut.icon.image}`;
+
+  const hosts = storedShortcuts.map(shortcut => getHostname(shortcut.url)).filter(Boolean);
+  const icons = await chrome.storage.local.get([
+    ...await getFaviconKeys(hosts),
+    ...storedShortcuts.map(imageKey).filter(Boolean),
+  ]);
+
+  const favicons = {};
+  Object.keys(icons)
+    .filter(key => key.startsWith(FAVICON_PREFIX))
+    .forEach((key) => {
+      favicons[key.slice(FAVICON_PREFIX.length)] = faviconSrc(icons[key]);
+    });
+
+  // Uploaded icon images go into the backup with their shortcuts
+  const shortcuts = storedShortcuts.map((shortcut) => {
+    const image = imageKey(shortcut) && icons[imageKey(shortcut)];
+    return image ? { ...shortcut, icon: { type: 'image', src: image } } : shortcut;
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: stored[STORAGE_KEYS.SCHEMA_VERSION] || SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      shortcuts,
+      tabs: stored[STORAGE_KEYS.TABS] || [],
+      activeTab: stored[STORAGE_KEYS.ACTIVE_TAB] || null,
+      settings: {
+        unsplashKey: stored[STORAGE_KEYS.UNSPLASH_KEY] || '',
+        searchQuery: stored[STORAGE_KEYS.SEARCH_QUERY] || '',
+        ipifyKey: stored[STORAGE_KEYS.IPIFY_KEY] || '',
+        defaultOpenIn: stored[STORAGE_KEYS.DEFAULT_OPEN_IN] || '',
+        tileStyle: stored[STORAGE_KEYS.TILE_STYLE] || '',
+      },
+      favicons,
+    },
+  };
+};
+
+/**
+ * Downloads the current board as a JSON backup file.
+ *
+ * @returns {Promise<void>}
+ */
+const exportBackup = async () => {
+  try {
+    const backup = await buildBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `eclipse-new-tab-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error('Error exporting backup:', err);
+    alert('Could not export backup');
+  }
+};
+
+/**
+ * Validates a parsed backup document and returns its data section.
+ * Throws an Error describing the first problem found.
+ *
+ * @param {*} doc - Parsed JSON document.
+ * @returns {Object} - The validated data section.
+ */
+const validateBackup = (doc) => {
+  if (!doc || typeof doc !== 'object' || doc.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not an Eclipse New Tab backup');
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new Error('The backup has no valid version number');
+  }
+  if (doc.version > BACKUP_VERSION) {
+    throw new Error('The backup was made by a newer version of Eclipse New Tab');
+  }
+
+  const data = doc.data;
+  if (!data || typeof data !== 'object') {
+    throw new Error('The backup has no data');
+  }
+  if (!Array.isArray(data.shortcuts) || !Array.isArray(data.tabs)) {
+    throw new Error('The backup is missing its shortcuts or tabs');
+  }
+
+  data.shortcuts.forEach((shortcut, i) => {
+    if (isFolder(shortcut)) {
+      if (typeof shortcut.name !== 'string' || !Array.isArray(shortcut.shortcuts)) {
+        throw new Error(`Folder #${i + 1} needs a name and a shortcut list`);
+      }
+      return;
+    }
+    if (!shortcut || typeof shortcut.name !== 'string' || typeof shortcut.url !== 'string') {
+      throw new Error(`Shortcut #${i + 1} needs a name and a URL`);
+    }
+    try {
+      new URL(shortcut.url);
+    } catch {
+      throw new Error(`Shortcut "${shortcut.name}" has an invalid URL`);
+    }
+  });
+
+  data.tabs.forEach((tab, i) => {
+    if (!tab || typeof tab.id !== 'string' || typeof tab.name !== 'string' || !tab.name.trim()) {
+      throw new Error(`Tab #${i + 1} needs an ID and a name`);
+    }
+    if (tab.shortcuts !== undefined && !Array.isArray(tab.shortcuts)) {
+      throw new Error(`Tab "${tab.name}" has an invalid shortcut list`);
+    }
+  });
+
+  if (doc.schemaVersion !== undefined && !Number.isInteger(doc.schemaVersion)) {
+    throw new Error('The backup has an invalid schema version');
+  }
+  if (doc.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('The backup was made by a newer version of Eclipse New Tab');
+  }
+
+  // Backups from before schema versioning are treated as version 0
+  const board = migrateData({
+    shortcuts: data.shortcuts,
+    tabs: data.tabs.map(tab => ({ ...tab, shortcuts: tab.shortcuts || [] })),
+    activeTab: typeof data.activeTab === 'string' ? data.activeTab : null,
+  }, doc.schemaVersion || 0);
+
+  return {
+    ...board,
+    settings: data.settings && typeof data.settings === 'object' ? data.settings : {},
+    favicons: data.favicons && typeof data.favicons === 'object' ? data.favicons : {},
+  };
+};
+
+/**
+ * Computes the result of importing a backup, without writing anything.
+ * In "replace" mode the incoming data wins outright. In "merge" mode
+ * shortcuts are deduplicated by URL, tabs by name, folders by name within
+ * their tab, and existing settings and favicons are kept.
+ *
+ * @param {Object} current - The current data, as returned by buildBackup().data.
+ * @param {Object} incoming - The validated data to import.
+ * @param {string} mode - Either 'replace' or 'merge'.
+ * @returns {Object} - The resulting data and a summary of changes.
+ */
+const planImport = (current, incoming, mode) => {
+  if (mode === 'replace') {
+    const activeTab = incoming.tabs.some(tab => tab.id === incoming.activeTab)
+      ? incoming.activeTab
+      : null;
+
+    return {
+      shortcuts: incoming.shortcuts.map(s => ({ ...s, id: s.id || generateId() })),
+      tabs: incoming.tabs,
+      activeTab,
+      settings: { ...current.settings, ...incoming.settings },
+      favicons: incoming.favicons,
+      summary: {
+        shortcutsAdded: incoming.shortcuts.filter(s => !isFolder(s)).length,
+        shortcutsRemoved: current.shortcuts.filter(s => !isFolder(s)).length,
+        shortcutsSkipped: 0,
+        tabsAdded: incoming.tabs.length,
+        tabsRemoved: current.tabs.length,
+      },
+    };
+  }
+
+  const shortcuts = current.shortcuts.map(s => (isFolder(s) ? { ...s, shortcuts: [...s.shortcuts] } : { ...s }));
+  const tabs = current.tabs.map(tab => ({ ...tab, shortcuts: [...(tab.shortcuts || [])] }));
+  const summary = {
+    shortcutsAdded: 0,
+    shortcutsRemoved: 0,
+    shortcutsSkipped: 0,
+    tabsAdded: 0,
+    tabsRemoved: 0,
+  };
+
+  // Map incoming tab IDs to tabs in the merged result, matching by name
+  const tabIdMap = new Map();
+  incoming.tabs.forEach((tab) => {
+    const existing = (isUngroupedTab(tab) && tabs.find(isUngroupedTab))
+      || tabs.find(t => t.name.trim().toLowerCase() === tab.name.trim().toLowerCase());
+    if (existing) {
+      tabIdMap.set(tab.id, existing.id);
+      return;
+    }
+
+    const id = tabs.some(t => t.id === tab.id) ? generateId() : tab.id;
+    tabs.push({ ...tab, id, shortcuts: [] });
+    tabIdMap.set(tab.id, id);
+    summary.tabsAdded += 1;
+  });
+
+  // Find which incoming tab or folder each incoming shortcut belongs to
+  const incomingParentOf = new Map();
+  [...incoming.tabs, ...incoming.shortcuts.filter(isFolder)].forEach((container) => {
+    container.shortcuts.forEach(shortcutId => incomingParentOf.set(shortcutId, container.id));
+  });
+
+  const knownUrls = new Set(shortcuts.filter(s => !isFolder(s)).map(s => urlKey(s.url)));
+  const usedIds = new Set(shortcuts.map(s => s.id));
+  const ungroupedTab = tabs.find(isUngroupedTab);
+
+  // Map incoming folder IDs to folders in the merged result, matching by
+  // name within the same tab
+  const folderIdMap = new Map();
+  incoming.shortcuts.filter(isFolder).forEach((folder) => {
+    const targetTab = tabs.find(t => t.id === tabIdMap.get(incomingParentOf.get(folder.id)))
+      || ungroupedTab;
+    const existing = targetTab && targetTab.shortcuts
+      .map(id => shortcuts.find(s => s.id === id))
+      .find(s => isFolder(s) && s.name.trim().toLowerCase() === folder.name.trim().toLowerCase());
+    if (existing) {
+      folderIdMap.set(folder.id, existing.id);
+      return;
+    }
+
+    const id = !folder.id || usedIds.has(folder.id) ? generateId() : folder.id;
+    shortcuts.push({ ...folder, id, shortcuts: [] });
+    usedIds.add(id);
+    folderIdMap.set(folder.id, id);
+    if (targetTab) {
+      targetTab.shortcuts.push(id);
+    }
+  });
+
+  incoming.shortcuts.filter(s => !isFolder(s)).forEach((shortcut) => {
+    const key = urlKey(shortcut.url);
+    if (knownUrls.has(key)) {
+      summary.shortcutsSkipped += 1;
+      return;
+    }
+
+    const id = !shortcut.id || usedIds.has(shortcut.id) ? generateId() : shortcut.id;
+    shortcuts.push({ ...shortcut, id });
+    knownUrls.add(key);
+    usedIds.add(id);
+    summary.shortcutsAdded += 1;
+
+    const parentId = incomingParentOf.get(shortcut.id);
+    const target = shortcuts.find(s => s.id === folderIdMap.get(parentId))
+      || tabs.find(t => t.id === tabIdMap.get(parentId))
+      || ungroupedTab;
+    if (target) {
+      target.shortcuts.push(id);
+    }
+  });
+
+  // Keep existing settings; only fill in the ones that are not set yet
+  const settings = { ...current.settings };
+  Object.keys(incoming.settings).forEach((key) => {
+    if (!settings[key] && typeof incoming.settings[key] === 'string') {
+      settings[key] = incoming.settings[key];
+    }
+  });
+
+  return {
+    shortcuts,
+    tabs,
+    activeTab: current.activeTab,
+    settings,
+    favicons: { ...incoming.favicons, ...current.favicons },
+    summary,
+  };
+};
+
+/**
+ * Writes the result of planImport() to storage and redraws the board.
+ * Only the shortcuts and tabs form the undoable "Imported shortcuts"
+ * command; imported settings and icons stay when it is undone. Cached
+ * icons are kept, and the backup's icons only fill in missing hosts;
+ * the worker drops icons of hosts the board no longer has.
+ *
+ * @param {Object} plan - The planned import.
+ * @returns {Promise<void>}
+ */
+const applyImport = async (plan) => {
+  const hosts = Object.keys(plan.favicons).filter(host => typeof plan.favicons[host] === 'string');
+  const cached = await chrome.storage.local.get(hosts.map(faviconKey));
+
+  const favicons = {};
+  hosts.filter(host => !cached[faviconKey(host)]).forEach((host) => {
+    favicons[faviconKey(host)] = makeImportedFaviconEntry(plan.favicons[host]);
+  });
+  await chrome.storage.local.set(favicons);
+
+  // Go through setStorageValue so imported items are stamped for sync
+  await setStorageValue(STORAGE_KEYS.UNSPLASH_KEY, plan.settings.unsplashKey || '');
+  await setStorageValue(STORAGE_KEYS.SEARCH_QUERY, plan.settings.searchQuery || 'nature background');
+  await setStorageValue(STORAGE_KEYS.IPIFY_KEY, plan.settings.ipifyKey || '');
+  await setStorageValue(STORAGE_KEYS.DEFAULT_OPEN_IN, plan.settings.defaultOpenIn || 'sameTab');
+  await setStorageValue(STORAGE_KEYS.TILE_STYLE, plan.settings.tileStyle || 'icon');
+
+  await runCommand('Imported shortcuts', async () => {
+    await setStorageValue(STORAGE_KEYS.SHORTCUTS, plan.shortcuts);
+    await setStorageValue(STORAGE_KEYS.TABS, plan.tabs);
+    await setStorageValue(STORAGE_KEYS.ACTIVE_TAB, plan.activeTab);
+    await reloadBoard();
+  }, { destructive: true });
+
+  // Imported shortcuts without an icon get one resolved
+  const unresolved = new Map();
+  plan.shortcuts.forEach((shortcut) => {
+    const host = getHostname(shortcut.url);
+    if (host && !favicons[faviconKey(host)] && !cached[faviconKey(host)]) unresolved.set(host, shortcut.url);
+  });
+  unresolved.forEach(url => requestFavicon(url));
+};
+
+/**
+ * Re-reads shortcuts, tabs and settings from storage and redraws the page.
+ *
+ * @returns {Promise<void>}
+ */
+const reloadBoard = async () => {
+  await loadTabs();
+  await loadShortcuts();
+  await loadTrash();
+  await reloadSettings();
+};
+
+/**
+ * Reads how shortcuts open by default. Synced boards store an empty
+ * string when the setting was never chosen.
+ *
+ * @returns {Promise<string>} - A key of OPEN_MODES.
+ */
+const getDefaultOpenIn = async () => {
+  const mode = await getStorageValue(STORAGE_KEYS.DEFAULT_OPEN_IN, 'sameTab');
+  return OPEN_MODES[mode] ? mode : 'sameTab';
+};
+
+/**
+ * Re-reads the background, IP, open and tile settings from storage,
+ * refreshing the background, IP info and tiles only when their settings
+ * actually changed.
+ *
+ * @returns {Promise<void>}
+ */
+const reloadSettings = async () => {
+  const unsplashAccessKey = await getStorageValue(STORAGE_KEYS.UNSPLASH_KEY, '');
+  const searchQuery = await getStorageValue(STORAGE_KEYS.SEARCH_QUERY, 'nature background');
+  const ipifyKey = await getStorageValue(STORAGE_KEYS.IPIFY_KEY, '');
+
+  if (unsplashAccessKey !== state.unsplashAccessKey || searchQuery !== state.searchQuery) {
+    state.unsplashAccessKey = unsplashAccessKey;
+    state.searchQuery = searchQuery;
+    updateBackground();
+  }
+
+  if (ipifyKey !== state.ipifyKey) {
+    state.ipifyKey = ipifyKey;
+    fetchIpInfo();
+  }
+
+  state.defaultOpenIn = await getDefaultOpenIn();
+
+  const tileStyle = await getTileStyle();
+  if (tileStyle !== state.tileStyle) {
+    state.tileStyle = tileStyle;
+    applyTileStyle();
+  }
+};
+
+/**
+ * Describes a planned import in a single line for the preview.
+ *
+ * @param {string} label - Name of the import mode.
+ * @param {Object} summary - Summary from planImport().
+ * @returns {string} - Human-readable description.
+ */
+const describeImport = (label, summary) => {
+  const parts = [`${summary.shortcutsAdded} shortcuts and ${summary.tabsAdded} tabs added`];
+  if (summary.shortcutsSkipped) {
+    parts.push(`${summary.shortcutsSkipped} duplicates skipped`);
+  }
+  if (summary.shortcutsRemoved || summary.tabsRemoved) {
+    parts.push(`${summary.shortcutsRemoved} shortcuts and ${summary.tabsRemoved} tabs removed`);
+  }
+  return `${label}: ${parts.join(', ')}`;
+};
+
+/**
+ * Reads a backup or bookmark file chosen by the user, validates it and
+ * shows a preview of what merging or replacing would change.
+ *
+ * @param {File} file - The selected file.
+ * @returns {Promise<void>}
+ */
+const previewImport = async (file) => {
+  try {
+    const incoming = await parseImportFile(file);
+    const current = (await buildBackup()).data;
+
+    state.pendingImport = {
+      merge: planImport(current, incoming, 'merge'),
+      replace: planImport(current, incoming, 'replace'),
+    };
+
+    elements.importSummary.innerHTML = '';
+    [
+      describeImport('Merge', state.pendingImport.merge.summary),
+      describeImport('Replace', state.pendingImport.replace.summary),
+    ].forEach((line) => {
+      const p = document.createElement('p');
+      p.textContent = line;
+      elements.importSummary.appendChild(p);
+    });
+
+    elements.importPreview.classList.remove('hidden');
+  } catch (err) {
+    console.error('Error reading backup:', err);
+    alert(err instanceof SyntaxError ? 'The file is not valid JSON' : err.message);
+  } finally {
+    elements.importFileInput.value = '';
+  }
+};
+
+/**
+ * Hides the import preview and forgets the pending import.
+ */
+const closeImportPreview = () => {
+  state.pendingImport = null;
+  elements.importPreview.classList.add('hidden');
+};
+
+// ——— BOOKMARK IMPORTERS ———
+
+/**
+ * Parses a Netscape bookmark file, as exported by Chrome, Firefox, Edge
+ * and Safari. Each link is assigned to the folder that directly contains
+ * it, known by its path so that folders sharing a name stay apart.
+ *
+ * @param {string} html - Contents of the bookmarks.html file.
+ * @returns {Object} - Import data accepted by planImport().
+ */
+const parseNetscapeBookmarks = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  // The parser nests each folder's <DL> inside the <DT> that holds its <H3> title
+  const folderPath = (link) => {
+    const path = [];
+    for (let list = link.closest('dl'); list; list = list.parentElement && list.parentElement.closest('dl')) {
+      const heading = list.parentElement && list.parentElement.querySelector(':scope > h3');
+      if (heading) path.unshift(heading.textContent);
+    }
+    return path;
+  };
+
+  const links = [...doc.querySelectorAll('a[href]')].map(a => ({
+    name: a.textContent,
+    url: a.getAttribute('href'),
+    folder: folderPath(a),
+    icon: a.getAttribute('icon'),
+  }));
+
+  if (!links.length) {
+    throw new Error('No bookmarks found in this file');
+  }
+  return buildImportData(links);
+};
+
+/**
+ * Importers for the export formats of other new-tab extensions. Each one
+ * recognises its format with `detect` and turns it into a list of links.
+ * The generic importer comes last and accepts any JSON that nests
+ * objects with a URL under named groups.
+ */
+const EXTENSION_IMPORTERS = [
+  {
+    // Speed Dial 2: dials reference their group by ID
+    name: 'Speed Dial 2',
+    detect: json => Array.isArray(json.dials),
+    links: (json) => {
+      const groups = new Map((json.groups || []).map(g => [g.id, g.title]));
+      return json.dials.map(dial => ({
+        name: dial.title,
+        url: dial.url,
+        folder: groups.get(dial.idgroup),
+      }));
+    },
+  },
+  {
+    // Bonjourr: links are stored as top-level "links…" entries, folders as links with `folder: true`
+    name: 'Bonjourr',
+    detect: json => Object.keys(json).some(key => /^links\w+$/.test(key) && json[key] && json[key]._id),
+    links: (json) => {
+      const items = Object.keys(json)
+        .filter(key => /^links\w+$/.test(key) && json[key] && json[key]._id)
+        .map(key => json[key])
+        .sort((a, b) => (a.order || 0) - (b.order || 0));
+      const folders = new Map(items.filter(i => i.folder).map(i => [i._id, i.title]));
+
+      return items
+        .filter(item => !item.folder)
+        .map(item => ({ name: item.title, url: item.url, folder: folders.get(item.parent) }));
+    },
+  },
+  {
+    // Toby, Tabliss and others: named groups containing objects with a URL
+    name: 'Generic',
+    detect: () => true,
+    links: (json) => {
+      const links = [];
+      const walk = (node, folder) => {
+        if (Array.isArray(node)) {
+          node.forEach(child => walk(child, folder));
+          return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        if (typeof node.url === 'string') {
+          links.push({
+            name: node.customTitle || node.title || node.name,
+            url: node.url,
+            folder,
+          });
+          return;
+        }
+
+        const title = typeof node.title === 'string' ? node.title : node.name;
+        const isGroup = typeof title === 'string' && Object.values(node).some(Array.isArray);
+        Object.values(node).forEach(child => walk(child, isGroup ? title : folder));
+      };
+
+      walk(json, null);
+      return links;
+    },
+  },
+];
+
+/**
+ * Parses JSON exported by another new-tab extension.
+ *
+ * @param {Object} json - Parsed export file.
+ * @returns {Object} - Import data accepted by planImport().
+ */
+const parseExtensionExport = (json) => {
+  const importer = EXTENSION_IMPORTERS.find(imp => imp.detect(json));
+  const data = buildImportData(importer.links(json));
+
+  if (!data.shortcuts.length) {
+    throw new Error('No shortcuts found in this file');
+  }
+  return data;
+};
+
+/**
+ * Detects the format of an import file and converts it to import data.
+ * Accepts Eclipse New Tab backups, Netscape bookmark files and the JSON
+ * exports of other new-tab extensions.
+ *
+ * @param {File} file - The selected file.
+ * @returns {Promise<Object>} - Import data accepted by planImport().
+ */
+const parseImportFile = async (file) => {
+  const text = await file.text();
+
+  if (/^\s*</.test(text)) {
+    return parseNetscapeBookmarks(text);
+  }
+
+  const json = JSON.parse(text);
+  if (json && json.format === BACKUP_FORMAT) {
+    return validateBackup(json);
+  }
+  if (!json || typeof json !== 'object') {
+    throw new Error('This file is not a supported export');
+  }
+  return parseExtensionExport(json);
+};
+
+// ——— CROSS-DEVICE SYNC ———
+
+// Settings that travel with the board; API keys only when the user opts in
+const SYNCED_SETTINGS = [
+  STORAGE_KEYS.SEARCH_QUERY,
+  STORAGE_KEYS.UNSPLASH_KEY,
+  STORAGE_KEYS.IPIFY_KEY,
+  STORAGE_KEYS.DEFAULT_OPEN_IN,
+  STORAGE_KEYS.TILE_STYLE,
+];
+const API_KEY_SETTINGS = [STORAGE_KEYS.UNSPLASH_KEY, STORAGE_KEYS.IPIFY_KEY];
+
+// chrome.storage.sync allows 8 KB per item and 100 KB in total, so the
+// board is stored as a manifest plus numbered chunks of its JSON
+const SYNC_MANIFEST_KEY = 'board_manifest';
+const SYNC_CHUNK_PREFIX = 'board_chunk_';
+const SYNC_ITEM_BYTES = 8000;
+const SYNC_TOTAL_BYTES = 100000;
+
+// Deletions are remembered this long so other devices can catch up
+const TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+let syncMetaQueue = Promise.resolve();
+let syncQueue = Promise.resolve();
+
+/**
+ * Reads the local bookkeeping used for merging: the device ID, deletion
+ * tombstones, settings timestamps and when each list was last reordered.
+ *
+ * @returns {Promise<Object>} - Sync metadata.
+ */
+const getSyncMeta = async () => {
+  const meta = await getStorageValue(STORAGE_KEYS.SYNC_META, {});
+  return {
+    deviceId: meta.deviceId || generateId(),
+    deleted: meta.deleted || {},
+    settings: meta.settings || {},
+    order: meta.order || {},
+    lastSyncedAt: meta.lastSyncedAt || 0,
+  };
+};
+
+/**
+ * Applies a change to the sync metadata. Updates are queued so that
+ * overlapping saves cannot drop each other's tombstones.
+ *
+ * @param {Function} update - Receives the metadata and mutates it.
+ * @returns {Promise<void>}
+ */
+const updateSyncMeta = (update) => {
+  syncMetaQueue = syncMetaQueue.then(async () => {
+    const meta = await getSyncMeta();
+    update(meta);
+    await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_META]: meta });
+  }).catch(err => console.error('Error updating sync metadata:', err));
+  return syncMetaQueue;
+};
+
+/**
+ * Stamps shortcuts or tabs with an `updatedAt` time. Items whose content
+ * did not change keep their previous stamp; removed items are recorded
+ * as tombstones so the deletion wins over older copies on other devices.
+ *
+ * @param {string} key - STORAGE_KEYS.SHORTCUTS or STORAGE_KEYS.TABS.
+ * @param {Object[]} items - Items about to be stored.
+ * @returns {Promise<{items: Object[], changed: boolean}>} - The stamped items
+ *   and whether anything differs from what was stored before.
+ */
+const stampItems = async (key, items) => {
+  const previousItems = await getStorageValue(key, []);
+  const previous = new Map(previousItems.map(item => [item.id, item]));
+  const now = Date.now();
+
+  const stamped = items.map((item) => {
+    const { updatedAt, ...content } = item;
+    const old = previous.get(item.id);
+    if (old) {
+      const { updatedAt: oldStamp, ...oldContent } = old;
+      if (JSON.stringify(content) === JSON.stringify(oldContent)) {
+        return { ...content, updatedAt: oldStamp || now };
+      }
+    }
+    return { ...content, updatedAt: now };
+  });
+
+  const ids = new Set(stamped.map(item => item.id));
+  const removed = previousItems.filter(item => !ids.has(item.id)).map(item => item.id);
+  const reordered = previousItems.filter(item => ids.has(item.id)).map(item => item.id).join()
+    !== stamped.filter(item => previous.has(item.id)).map(item => item.id).join();
+
+  if (removed.length || reordered) {
+    await updateSyncMeta((meta) => {
+      removed.forEach((id) => {
+        meta.deleted[id] = now;
+      });
+      if (reordered) meta.order[key] = now;
+    });
+  }
+
+  const changed = removed.length > 0 || reordered || stamped.some(item => item.updatedAt === now);
+  return { items: stamped, changed };
+};
+
+/**
+ * Records when a synced setting last changed.
+ *
+ * @param {string} key - Setting key.
+ * @param {*} value - New value.
+ * @returns {Promise<boolean>} - True if the value changed.
+ */
+const stampSetting = async (key, value) => {
+  const previous = await getStorageValue(key, '');
+  if (previous === value) return false;
+
+  await updateSyncMeta((meta) => {
+    meta.settings[key] = Date.now();
+  });
+  return true;
+};
+
+/**
+ * Reads the board from chrome.storage.local in the form used for merging.
+ *
+ * @returns {Promise<Object>} - Local board snapshot.
+ */
+const readLocalBoard = async () => {
+  const stored = await chrome.storage.local.get([
+    STORAGE_KEYS.SHORTCUTS,
+    STORAGE_KEYS.TABS,
+    ...SYNCED_SETTINGS,
+  ]);
+  const meta = await getSyncMeta();
+
+  const settings = {};
+  SYNCED_SETTINGS
+    .filter(key => state.syncApiKeys || !API_KEY_SETTINGS.includes(key))
+    .forEach((key) => {
+      settings[key] = { value: stored[key] || '', updatedAt: meta.settings[key] || 0 };
+    });
+
+  return {
+    shortcuts: stored[STORAGE_KEYS.SHORTCUTS] || [],
+    tabs: stored[STORAGE_KEYS.TABS] || [],
+    settings,
+    deleted: meta.deleted,
+    order: meta.order,
+  };
 };
 
 /**
- * Saves tabs to storage
+ * Reassembles the board stored in chrome.storage.sync.
+ *
+ * @returns {Promise<?Object>} - Remote board snapshot, or null if none.
  */
-const saveTabs = async () => {
-  await setStorageValue(STORAGE_KEYS.TABS, state.tabs);
-  await setStorageValue(STORAGE_KEYS.ACTIVE_TAB, state.activeTabId);
+const readRemoteBoard = async () => {
+  const { [SYNC_MANIFEST_KEY]: manifest } = await chrome.storage.sync.get(SYNC_MANIFEST_KEY);
+  if (!manifest || !manifest.chunks) return null;
+
+  const keys = Array.from({ length: manifest.chunks }, (_, i) => `${SYNC_CHUNK_PREFIX}${i}`);
+  const chunks = await chrome.storage.sync.get(keys);
+  if (keys.some(key => typeof chunks[key] !== 'string')) {
+    // Another device is halfway through writing; its change event will follow
+    return null;
+  }
+
+  try {
+    return JSON.parse(keys.map(key => chunks[key]).join(''));
+  } catch {
+    return null;
+  }
 };
 
 /**
- * Creates a tab button element
- * @param {Object} tab - Tab object
- * @returns {HTMLElement} - Tab button element
+ * Splits a string into pieces that each fit in one chrome.storage.sync item.
+ *
+ * @param {string} text - Serialized board.
+ * @returns {string[]} - Chunks.
  */
-const createTabElement = (tab) => {
-  const tabEl = document.createElement('button');
-  tabEl.className = 'tab-button';
-  tabEl.textContent = tab.name;
-  tabEl.dataset.tabId = tab.id;
-  tabEl.title = tab.name;
-  tabEl.draggable = tab.name !== "Ungrouped"; // Make tab draggable except Ungrouped
-  
-  // Style the tab
-  const isActive = state.activeTabId === tab.id;
-  tabEl.style.background = isActive
-    ? 'rgba(138, 180, 248, 0.5)' 
-    : 'rgba(60, 64, 67, 0.5)';
-  tabEl.style.border = isActive ? '2px solid #fff' : 'none';
-  tabEl.style.borderRadius = '12px'; // Match shortcut-icon border-radius
-  tabEl.style.padding = '8px 16px';
-  tabEl.style.cursor = tab.name === "Ungrouped" ? 'pointer' : 'grab'; // Show grab cursor to indicate draggable
-  tabEl.style.color = '#e8eaed';
-  tabEl.style.position = 'relative';
-  tabEl.style.fontWeight = isActive ? 'bold' : 'normal';
-  
-  // Add edit icon using SVG namespace (same as shortcut edit icon)
-  const svgNS = 'http://www.w3.org/2000/svg';
-  const svg = document.createElementNS(svgNS, 'svg');
-  svg.classList.add('edit-icon');
-  svg.setAttribute('viewBox', '0 0 24 24');
-  
-  // Style the edit icon like the shortcut edit icon
-  svg.style.display = 'none';
-  svg.style.position = 'absolute';
-  svg.style.top = '0';
-  svg.style.right = '0';
-  svg.style.transform = 'translate(25%, -25%)';
-  svg.style.backgroundColor = '#fff';
-  svg.style.borderRadius = '50%';
-  svg.style.padding = '4px';
-  svg.style.width = '20px';
-  svg.style.height = '20px';
-  svg.style.cursor = 'pointer';
-  
-  const path1 = document.createElementNS(svgNS, 'path');
-  path1.setAttribute('d', 'M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25z');
-  
-  const path2 = document.createElementNS(svgNS, 'path');
-  path2.setAttribute(
-    'd',
-    'M20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34' +
-    'a.9959.9959 0 00-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z'
-  );
-  
-  // Set path fill
-  path1.style.fill = '#202124';
-  path2.style.fill = '#202124';
-  
-  svg.append(path1, path2);
-  tabEl.appendChild(svg);
-  
-  // Show edit icon on hover
-  tabEl.addEventListener('mouseenter', () => {
-    svg.style.display = 'block';
-  });
-  
-  tabEl.addEventListener('mouseleave', () => {
-    svg.style.display = 'none';
-  });
-  
-  // Tab click - switch active tab
-  tabEl.addEventListener('click', (e) => {
-    if (e.target !== svg && !svg.contains(e.target)) {
-      setActiveTab(tab.id);
+const chunkForSync = (text) => {
+  const chunks = [];
+  let offset = 0;
+
+  while (offset < text.length) {
+    let size = Math.min(SYNC_ITEM_BYTES, text.length - offset);
+    // Quotes and non-ASCII characters grow when the chunk is stored as JSON
+    while (new TextEncoder().encode(JSON.stringify(text.slice(offset, offset + size))).length
+      + SYNC_CHUNK_PREFIX.length + 4 > SYNC_ITEM_BYTES) {
+      size = Math.floor(size * 0.9);
     }
+    // Cut between code points, never inside a surrogate pair
+    const last = text.charCodeAt(offset + size - 1);
+    if (size > 1 && last >= 0xd800 && last <= 0xdbff) size -= 1;
+
+    chunks.push(text.slice(offset, offset + size));
+    offset += size;
+  }
+
+  return chunks;
+};
+
+/**
+ * Writes a board snapshot to chrome.storage.sync.
+ *
+ * @param {Object} board - Board snapshot to push.
+ * @returns {Promise<void>}
+ */
+const writeRemoteBoard = async (board) => {
+  const meta = await getSyncMeta();
+  const chunks = chunkForSync(JSON.stringify(board));
+
+  const items = { [SYNC_MANIFEST_KEY]: { chunks: chunks.length, deviceId: meta.deviceId, pushedAt: Date.now() } };
+  chunks.forEach((chunk, i) => {
+    items[`${SYNC_CHUNK_PREFIX}${i}`] = chunk;
   });
-  
-  // Edit icon click - edit tab
-  svg.addEventListener('click', (e) => {
-    e.stopPropagation();
-    
-    // Change fill color on hover
-    const paths = svg.querySelectorAll('path');
-    paths.forEach(p => {
-      p.style.fill = '#8ab4f8';
+
+  if (new TextEncoder().encode(JSON.stringify(items)).length > SYNC_TOTAL_BYTES) {
+    throw new Error('The board is too large for Chrome sync storage');
+  }
+
+  await chrome.storage.sync.set(items);
+
+  const existing = Object.keys(await chrome.storage.sync.get(null));
+  const stale = existing.filter(key => key.startsWith(SYNC_CHUNK_PREFIX) && !(key in items));
+  if (stale.length) await chrome.storage.sync.remove(stale);
+};
+
+/**
+ * Merges two board snapshots. Shortcuts, tabs and settings are merged
+ * item by item and the most recently updated copy wins. A shortcut stays
+ * in whichever tab or folder most recently claimed it, and deletions win
+ * over copies that are older than the deletion.
+ *
+ * @param {Object} local - Local board snapshot.
+ * @param {Object} remote - Remote board snapshot.
+ * @returns {Object} - Merged board snapshot.
+ */
+const mergeBoards = (local, remote) => {
+  const now = Date.now();
+
+  const deleted = {};
+  [local.deleted || {}, remote.deleted || {}].forEach((tombstones) => {
+    Object.keys(tombstones).forEach((id) => {
+      if (now - tombstones[id] < TOMBSTONE_TTL) {
+        deleted[id] = Math.max(deleted[id] || 0, tombstones[id]);
+      }
     });
-    
-    openAddTabModal(true, tab.id);
   });
-  
-  // Add drag and drop event listeners
-  tabEl.addEventListener('dragstart', handleTabDragStart);
-  tabEl.addEventListener('dragend', handleTabDragEnd);
-  tabEl.addEventListener('dragover', handleTabDragOver);
-  tabEl.addEventListener('dragleave', handleTabDragLeave);
-  tabEl.addEventListener('drop', handleTabDrop);
-  
-  return tabEl;
+
+  // Devices that have not migrated yet still have their own Ungrouped tab ID
+  const findUngrouped = tabs => tabs.find(isUngroupedTab)
+    || tabs.find(tab => tab.name === UNGROUPED_TAB_NAME);
+  const localUngrouped = findUngrouped(local.tabs);
+  const remoteUngrouped = findUngrouped(remote.tabs);
+  const remoteTabs = localUngrouped && remoteUngrouped
+    ? remote.tabs.map(tab => (tab === remoteUngrouped ? { ...tab, id: localUngrouped.id } : tab))
+    : remote.tabs;
+
+  const order = {
+    shortcuts: Math.max((local.order || {}).shortcuts || 0, (remote.order || {}).shortcuts || 0),
+    tabs: Math.max((local.order || {}).tabs || 0, (remote.order || {}).tabs || 0),
+  };
+
+  const mergeItems = (localItems, remoteItems, key) => {
+    const newest = new Map();
+    [...localItems, ...remoteItems].forEach((item) => {
+      const current = newest.get(item.id);
+      if (!current || (item.updatedAt || 0) > (current.updatedAt || 0)) {
+        newest.set(item.id, item);
+      }
+    });
+
+    // Keep the ordering of whichever side reordered the list last
+    const localFirst = ((local.order || {})[key] || 0) >= ((remote.order || {})[key] || 0);
+    const [first, second] = localFirst ? [localItems, remoteItems] : [remoteItems, localItems];
+    const ids = [...new Set([...first, ...second].map(item => item.id))];
+
+    return ids
+      .map(id => newest.get(id))
+      .filter(item => !(deleted[item.id] && deleted[item.id] >= (item.updatedAt || 0)));
+  };
+
+  const shortcuts = mergeItems(local.shortcuts, remote.shortcuts, STORAGE_KEYS.SHORTCUTS);
+  const tabs = mergeItems(local.tabs, remoteTabs, STORAGE_KEYS.TABS);
+
+  // Assign each shortcut to the tab or folder that most recently claimed it
+  const versions = [
+    ...local.tabs,
+    ...remoteTabs,
+    ...[...local.shortcuts, ...remote.shortcuts].filter(isFolder),
+  ];
+  const claims = new Map();
+  versions.forEach((container) => {
+    (container.shortcuts || []).forEach((id) => {
+      const claim = claims.get(id);
+      if (!claim || (container.updatedAt || 0) > claim.updatedAt) {
+        claims.set(id, { containerId: container.id, updatedAt: container.updatedAt || 0 });
+      }
+    });
+  });
+
+  const shortcutIds = new Set(shortcuts.map(s => s.id));
+  const containerIds = new Set([...tabs, ...shortcuts.filter(isFolder)].map(container => container.id));
+
+  const withMembers = (container) => {
+    const belongsHere = id => shortcutIds.has(id)
+      && claims.has(id)
+      && claims.get(id).containerId === container.id;
+
+    // Winner's order first, then anything the other copy added
+    const ordered = [container, ...versions.filter(v => v.id === container.id && v !== container)]
+      .flatMap(v => v.shortcuts || [])
+      .filter(belongsHere);
+
+    return { ...container, shortcuts: [...new Set(ordered)] };
+  };
+
+  const mergedTabs = tabs.map(withMembers);
+  const mergedShortcuts = shortcuts.map(s => (isFolder(s) ? withMembers(s) : s));
+
+  // Shortcuts whose tab or folder disappeared end up in Ungrouped
+  const ungrouped = findUngrouped(mergedTabs);
+  if (ungrouped) {
+    shortcuts
+      .filter(s => !claims.has(s.id) || !containerIds.has(claims.get(s.id).containerId))
+      .forEach(s => ungrouped.shortcuts.push(s.id));
+  }
+
+  const settings = { ...local.settings };
+  Object.keys(remote.settings || {}).forEach((key) => {
+    if (!settings[key] || remote.settings[key].updatedAt > settings[key].updatedAt) {
+      settings[key] = remote.settings[key];
+    }
+  });
+
+  return { shortcuts: mergedShortcuts, tabs: mergedTabs, settings, deleted, order };
 };
 
 /**
- * Renders all tabs in the tabs container
+ * Writes a merged board snapshot back to chrome.storage.local. Writes
+ * go straight to storage so the stamps from the merge are kept as is.
+ *
+ * @param {Object} board - Board snapshot.
+ * @returns {Promise<void>}
  */
-const renderTabs = () => {
-  // Clear existing tabs except the add button
-  while (elements.tabsContainer.firstChild) {
-    if (elements.tabsContainer.firstChild === elements.addTabBtn) {
-      break;
-    }
-    elements.tabsContainer.removeChild(elements.tabsContainer.firstChild);
-  }
-  
-  // Find the Ungrouped tab
-  const ungroupedTab = state.tabs.find(tab => tab.name === "Ungrouped");
-  
-  // First add the Ungrouped tab if it exists
-  if (ungroupedTab) {
-    const tabEl = createTabElement(ungroupedTab);
-    elements.tabsContainer.insertBefore(tabEl, elements.addTabBtn);
-  }
-  
-  // Then add all other tabs
-  state.tabs.forEach(tab => {
-    if (tab.name !== "Ungrouped") {
-      const tabEl = createTabElement(tab);
-      elements.tabsContainer.insertBefore(tabEl, elements.addTabBtn);
+const writeLocalBoard = async (board) => {
+  const items = {
+    [STORAGE_KEYS.SHORTCUTS]: board.shortcuts,
+    [STORAGE_KEYS.TABS]: board.tabs,
+  };
+  Object.keys(board.settings).forEach((key) => {
+    if (state.syncApiKeys || !API_KEY_SETTINGS.includes(key)) {
+      items[key] = board.settings[key].value;
     }
   });
-  
-  // Always show the tabs container, even if there are no tabs
-  // The "New Tab" button should always be visible
-  elements.tabsContainer.style.display = 'flex';
+
+  await withBoardLock(async () => {
+    items[STORAGE_KEYS.REVISION] = (await getStorageValue(STORAGE_KEYS.REVISION, 0)) + 1;
+    await chrome.storage.local.set(items);
+  });
+  await updateSyncMeta((meta) => {
+    meta.deleted = board.deleted;
+    meta.order = board.order;
+    Object.keys(board.settings).forEach((key) => {
+      meta.settings[key] = board.settings[key].updatedAt;
+    });
+    meta.lastSyncedAt = Date.now();
+  });
 };
 
 /**
- * Sets the active tab and updates the UI
- * @param {string} tabId - ID of the tab to make active
+ * Serializes the parts of a board that are compared between devices.
+ *
+ * @param {?Object} board - Board snapshot.
+ * @param {string[]} settingKeys - Settings to include in the comparison.
+ * @returns {string} - Comparable serialization.
  */
-const setActiveTab = async (tabId) => {
-  state.activeTabId = tabId;
-  await setStorageValue(STORAGE_KEYS.ACTIVE_TAB, tabId);
-  renderTabs();
-  updateVisibleShortcuts();
+const boardFingerprint = (board, settingKeys = SYNCED_SETTINGS) => {
+  if (!board) return '';
+  const settings = settingKeys.map(key => board.settings[key] || null);
+  return JSON.stringify([board.shortcuts, board.tabs, settings, board.deleted]);
 };
 
 /**
- * Updates the modal to include tab selection
+ * Runs a sync task after the ones already started, so two runs never
+ * interleave their writes to the manifest and chunks.
+ *
+ * @param {Function} task - Async function to run.
+ * @returns {Promise<*>} - Whatever `task` returns.
  */
-const updateShortcutModal = () => {
-  // Add tab selection field to shortcut modal
-  const modalContent = document.querySelector('#modal .modal-content');
-  
-  if (!document.getElementById('tabSelection') && state.tabs.length > 0) {
-    const tabSelection = document.createElement('div');
-    tabSelection.id = 'tabSelection';
-    tabSelection.style.marginBottom = '16px';
-    
-    const label = document.createElement('label');
-    label.setAttribute('for', 'tabSelect');
-    label.textContent = 'Tab:';
-    
-    const select = document.createElement('select');
-    select.id = 'tabSelect';
-    select.style.width = '100%';
-    select.style.padding = '8px';
-    select.style.marginBottom = '16px';
-    select.style.backgroundColor = '#202124';
-    select.style.border = '1px solid #5f6368';
-    select.style.borderRadius = '4px';
-    select.style.color = '#e8eaed';
-    
-    // Find the Ungrouped tab to put it first
-    const ungroupedTab = state.tabs.find(tab => tab.name === "Ungrouped");
-    
-    // Add Ungrouped tab first if it exists
-    if (ungroupedTab) {
-      const option = document.createElement('option');
-      option.value = ungroupedTab.id;
-      option.textContent = ungroupedTab.name;
-      select.appendChild(option);
-    }
-    
-    // Add the rest of the tabs
-    state.tabs.forEach(tab => {
-      if (tab.name !== "Ungrouped") {
-        const option = document.createElement('option');
-        option.value = tab.id;
-        option.textContent = tab.name;
-        select.appendChild(option);
-      }
-    });
-    
-    // Set default selection to active tab if it exists, otherwise Ungrouped
-    if (state.activeTabId) {
-      select.value = state.activeTabId;
-    } else if (ungroupedTab) {
-      select.value = ungroupedTab.id;
-    }
-    
-    tabSelection.appendChild(label);
-    tabSelection.appendChild(select);
-    
-    // Insert after the URL input
-    const urlInput = document.getElementById('siteURL');
-    modalContent.insertBefore(tabSelection, urlInput.nextSibling);
-  } else if (document.getElementById('tabSelection') && state.tabs.length > 0) {
-    // Update existing tab selection options
-    const select = document.getElementById('tabSelect');
-    select.innerHTML = '';
-    
-    // Find the Ungrouped tab to put it first
-    const ungroupedTab = state.tabs.find(tab => tab.name === "Ungrouped");
-    
-    // Add Ungrouped tab first if it exists
-    if (ungroupedTab) {
-      const option = document.createElement('option');
-      option.value = ungroupedTab.id;
-      option.textContent = ungroupedTab.name;
-      select.appendChild(option);
-    }
-    
-    // Add the rest of the tabs
-    state.tabs.forEach(tab => {
-      if (tab.name !== "Ungrouped") {
-        const option = document.createElement('option');
-        option.value = tab.id;
-        option.textContent = tab.name;
-        select.appendChild(option);
-      }
+const queueSync = (task) => {
+  const run = syncQueue.then(task);
+  syncQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Merges the local board with the one in chrome.storage.sync, stores the
+ * result locally and pushes it back if the remote copy is out of date.
+ *
+ * @returns {Promise<boolean>} - True if the local board changed.
+ */
+const syncNow = () => queueSync(async () => {
+  if (!state.syncEnabled) return false;
+
+  // Persists the device ID the first time this device syncs
+  await updateSyncMeta(() => {});
+
+  const local = await readLocalBoard();
+  const remote = await readRemoteBoard();
+  const merged = remote ? mergeBoards(local, remote) : local;
+
+  // API keys this device does not sync are never written locally, so leave them out
+  const localKeys = Object.keys(local.settings);
+  const localChanged = boardFingerprint(merged, localKeys) !== boardFingerprint(local, localKeys);
+  if (localChanged) {
+    await writeLocalBoard(merged);
+  } else {
+    await updateSyncMeta((meta) => {
+      meta.lastSyncedAt = Date.now();
     });
-    
-    // Set default selection to active tab if it exists, otherwise Ungrouped
-    if (state.activeTabId) {
-      select.value = state.activeTabId;
-    } else if (ungroupedTab) {
-      select.value = ungroupedTab.id;
-    }
-  } else if (document.getElementById('tabSelection') && state.tabs.length === 0) {
-    // Remove tab selection if no tabs
-    document.getElementById('tabSelection').remove();
   }
+
+  if (boardFingerprint(merged) !== boardFingerprint(remote)) {
+    await writeRemoteBoard(merged);
+  }
+
+  updateSyncStatus();
+  return localChanged;
+});
+
+/**
+ * Removes API keys from the board in chrome.storage.sync after this
+ * device stopped syncing them, so the next merge does not bring them
+ * back.
+ *
+ * @returns {Promise<void>}
+ */
+const removeSyncedApiKeys = () => queueSync(async () => {
+  if (!state.syncEnabled) return;
+
+  const remote = await readRemoteBoard();
+  if (!remote || !API_KEY_SETTINGS.some(key => remote.settings && remote.settings[key])) return;
+
+  API_KEY_SETTINGS.forEach((key) => {
+    delete remote.settings[key];
+  });
+  await writeRemoteBoard(remote);
+});
+
+/**
+ * Pushes local changes to chrome.storage.sync a moment after the last
+ * save, keeping well under sync's write-rate limits.
+ */
+const scheduleSyncPush = debounce(async () => {
+  try {
+    if (await syncNow()) await reloadBoard();
+  } catch (err) {
+    console.error('Sync error:', err);
+  }
+}, 2000);
+
+/**
+ * Shows when the board was last synced in the Settings modal.
+ *
+ * @returns {Promise<void>}
+ */
+const updateSyncStatus = async () => {
+  if (!state.syncEnabled) {
+    elements.syncStatus.textContent = 'Sync is off';
+    return;
+  }
+  const { lastSyncedAt } = await getSyncMeta();
+  elements.syncStatus.textContent = lastSyncedAt
+    ? `Last synced ${new Date(lastSyncedAt).toLocaleString()}`
+    : 'Not synced yet';
 };
 
 /**
- * Updates which shortcuts are visible based on the active tab
+ * Handles changes pushed to chrome.storage.sync by other devices.
+ *
+ * @param {Object} changes - Changed items.
+ * @param {string} areaName - Storage area that changed.
+ * @returns {Promise<void>}
  */
-const updateVisibleShortcuts = () => {
-  // Hide all shortcuts except add button
-  [...elements.container.querySelectorAll('.shortcut')]
-    .filter(el => el.id !== 'addShortcut')
-    .forEach(el => el.style.display = 'none');
-  
-  if (state.activeTabId) {
-    // Show shortcuts for active tab
-    const activeTab = state.tabs.find(tab => tab.id === state.activeTabId);
-    if (activeTab) {
-      [...elements.container.querySelectorAll('.shortcut')]
-        .filter(el => el.id !== 'addShortcut')
-        .filter(el => activeTab.shortcuts.includes(el.dataset.shortcutId))
-        .forEach(el => el.style.display = 'flex');
-    }
-  } else {
-    // If no active tab, but we have an Ungrouped tab, show those shortcuts
-    const ungroupedTab = state.tabs.find(tab => tab.name === "Ungrouped");
-    if (ungroupedTab) {
-      [...elements.container.querySelectorAll('.shortcut')]
-        .filter(el => el.id !== 'addShortcut')
-        .filter(el => ungroupedTab.shortcuts.includes(el.dataset.shortcutId))
-        .forEach(el => el.style.display = 'flex');
-    } else {
-      // Fallback: show all shortcuts if no tabs exist
-      [...elements.container.querySelectorAll('.shortcut')]
-        .filter(el => el.id !== 'addShortcut')
-        .forEach(el => el.style.display = 'flex');
-    }
+const handleRemoteSyncChange = async (changes, areaName) => {
+  if (areaName !== 'sync' || !state.syncEnabled || !changes[SYNC_MANIFEST_KEY]) return;
+
+  const manifest = changes[SYNC_MANIFEST_KEY].newValue;
+  const { deviceId } = await getSyncMeta();
+  if (!manifest || manifest.deviceId === deviceId) return;
+
+  try {
+    if (await syncNow()) await reloadBoard();
+  } catch (err) {
+    console.error('Sync error:', err);
   }
 };
 
+// ——— LIVE UPDATES ———
+
 /**
- * Loads tabs from storage
+ * Redraws the board after another page changed it. Several storage
+ * writes usually arrive together, so they are handled in one pass.
  */
-const loadTabs = async () => {
-  state.tabs = await getStorageValue(STORAGE_KEYS.TABS, []);
-  state.activeTabId = await getStorageValue(STORAGE_KEYS.ACTIVE_TAB, null);
-  
-  // Create "Ungrouped" tab if it doesn't exist
-  if (!state.tabs.find(tab => tab.name === "Ungrouped")) {
-    const ungroupedTab = {
-      id: "ungrouped_" + Date.now().toString(),
-      name: "Ungrouped",
-      shortcuts: []
-    };
-    state.tabs.unshift(ungroupedTab); // Add to the beginning of tabs array
-    
-    // Make it the active tab if no active tab is set
-    if (!state.activeTabId) {
-      state.activeTabId = ungroupedTab.id;
-    }
-    
-    await saveTabs();
+const refreshFromStorage = debounce(async () => {
+  try {
+    await reloadBoard();
+  } catch (err) {
+    console.error('Error refreshing board:', err);
+  }
+}, 100);
+
+/**
+ * Called when this page tried to save over newer data. The save is
+ * dropped, the user is told so, and the page shows the current board
+ * instead.
+ */
+const handleStaleBoard = () => {
+  commandHistory.rejected = true;
+  showToast('Your change was not saved because shortcuts were changed in another tab. Showing the latest version.');
+  refreshFromStorage();
+};
+
+/**
+ * Keeps this page in step with changes made by other open new-tab pages,
+ * the sync engine or an import.
+ *
+ * @param {Object} changes - Changed items.
+ * @param {string} areaName - Storage area that changed.
+ */
+const handleLocalStorageChange = (changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  const revision = changes[STORAGE_KEYS.REVISION];
+  if (revision && revision.newValue !== state.revision) {
+    clearHistory();
+    refreshFromStorage();
+    return;
+  }
+
+  const activeTab = changes[STORAGE_KEYS.ACTIVE_TAB];
+  if (activeTab && activeTab.newValue !== state.activeTabId
+    && state.tabs.some(tab => tab.id === activeTab.newValue)) {
+    state.activeTabId = activeTab.newValue;
+    renderTabs();
+    renderShortcuts();
+  }
+
+  // Link check results from the background worker
+  const health = changes[STORAGE_KEYS.HEALTH];
+  if (health) {
+    state.health = health.newValue || {};
+    renderShortcuts();
+    renderHealthReport();
+  }
+
+  // Clicks on other pages; this page's own clicks do not reorder the board
+  const usage = changes[STORAGE_KEYS.USAGE];
+  if (usage && JSON.stringify(usage.newValue || {}) !== JSON.stringify(state.usage)) {
+    state.usage = usage.newValue || {};
+    renderShortcuts();
+  }
+
+  const trash = changes[STORAGE_KEYS.TRASH];
+  if (trash && JSON.stringify(trash.newValue) !== JSON.stringify(state.trash)) {
+    state.trash = trash.newValue || [];
+    renderTrash();
+  }
+
+  if ([STORAGE_KEYS.UNSPLASH_KEY, STORAGE_KEYS.SEARCH_QUERY, STORAGE_KEYS.IPIFY_KEY, STORAGE_KEYS.DEFAULT_OPEN_IN,
+    STORAGE_KEYS.TILE_STYLE].some(key => key in changes)) {
+    reloadSettings();
+  }
+
+  // Favicons and thumbnails stored by the background worker
+  const iconHosts = new Set(Object.keys(changes)
+    .filter(key => key.startsWith(FAVICON_PREFIX)
+      && faviconSrc(changes[key].newValue) !== faviconSrc(changes[key].oldValue))
+    .map(key => key.slice(FAVICON_PREFIX.length)));
+  Object.keys(changes)
+    .filter(key => key.startsWith(THUMBNAIL_PREFIX))
+    .forEach(key => iconHosts.add(getHostname(key.slice(THUMBNAIL_PREFIX.length))));
+  if (iconHosts.size) {
+    refreshShortcutIcons(iconHosts);
   }
-  
-  renderTabs();
 };
 
 // ——— EVENT HANDLERS ———
@@ -1186,9 +5160,24 @@ const handleSearchInput = debounce(async () => {
     elements.suggestionsList.classList.add('hidden');
     return;
   }
+
+  // Drop results that arrive after the input changed or the box switched
+  // between searching Google and a site
+  const site = getSearchSite();
+  const siteId = site ? site.id : null;
+  const isCurrent = () => elements.searchInput.value.trim() === query && state.searchSiteId === siteId;
+
+  // Searching a site suggests from that site, not Google
+  if (site) {
+    const suggestions = await fetchSiteSuggestions(site, query);
+    if (isCurrent()) renderSuggestions(suggestions);
+    return;
+  }
   
   const suggestions = await fetchSuggestions(query);
-  renderSuggestions(suggestions);
+  if (isCurrent()) {
+    renderSuggestions(suggestions, findKeywordShortcut(query), findMatchingShortcuts(query));
+  }
 }, 300);
 
 /**
@@ -1220,29 +5209,55 @@ const initialize = async () => {
   // Add event listener for Add Tab button
   elements.addTabBtn.addEventListener('click', () => openAddTabModal(false));
   
+  // Upgrade stored data written by older versions
+  try {
+    await runMigrations();
+  } catch (err) {
+    console.error('Error migrating stored data:', err);
+  }
+
+  // Bring in changes made on other devices before drawing the board
+  state.syncEnabled = await getStorageValue(STORAGE_KEYS.SYNC_ENABLED, false);
+  state.syncApiKeys = await getStorageValue(STORAGE_KEYS.SYNC_API_KEYS, false);
+  try {
+    await syncNow();
+  } catch (err) {
+    console.error('Sync error:', err);
+  }
+
+  // Pick the tile style and read usage before the first shortcuts are drawn
+  state.tileStyle = await getTileStyle();
+  applyTileStyle();
+  state.usage = await getStorageValue(STORAGE_KEYS.USAGE, {});
+  state.showFrequentTab = await getStorageValue(STORAGE_KEYS.SHOW_FREQUENT_TAB, false);
+  // A permission revoked in chrome://extensions turns its tab off
+  const siteTabs = (await getStorageValue(STORAGE_KEYS.SITE_TABS, [])).filter(id => SITE_TABS[id]);
+  const granted = await Promise.all(siteTabs.map(id => hasPermission(SITE_TAB_PERMISSIONS[id])));
+  state.siteTabs = siteTabs.filter((id, i) => granted[i]);
+  state.excludedDomains = await getStorageValue(STORAGE_KEYS.EXCLUDED_DOMAINS, []);
+  state.stripTracking = await getStorageValue(STORAGE_KEYS.STRIP_TRACKING, false);
+  state.health = await getStorageValue(STORAGE_KEYS.HEALTH, {});
+
   // Load tabs
   await loadTabs();
   
   // Load shortcuts
   await loadShortcuts();
+
+  // Load the trash and drop entries past their retention period
+  await loadTrash();
+  await purgeTrash();
   
   // Load settings
   state.unsplashAccessKey = await getStorageValue(STORAGE_KEYS.UNSPLASH_KEY, '');
   state.searchQuery = await getStorageValue(STORAGE_KEYS.SEARCH_QUERY, 'nature background');
   state.ipifyKey = await getStorageValue(STORAGE_KEYS.IPIFY_KEY, '');
+  state.defaultOpenIn = await getDefaultOpenIn();
   
   // Initialize UI
   updateBackground();
   prefetchAndPreload();
   fetchIpInfo();
-  
-  // Add edit icons to existing shortcuts
-  elements.container.querySelectorAll('.shortcut').forEach((el) => {
-    if (el.id !== 'addShortcut') addEditIcon(el);
-  });
-  
-  // Update visible shortcuts based on active tab
-  updateVisibleShortcuts();
 };
 
 // Initialize on page load
@@ -1261,122 +5276,148 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Save or update a shortcut
 elements.saveBtn.addEventListener('click', async () => {
-  const name = elements.nameInput.value.trim();
+  let name = elements.nameInput.value.trim();
   let url = elements.urlInput.value.trim();
-  
-  if (!name || !url) {
-    alert('Enter both name and URL');
+  const tabSelect = document.getElementById('tabSelect');
+  const selectedTabId = state.tabs.length > 0 && tabSelect ? tabSelect.value : null;
+
+  // Folders only have a name
+  if (state.isEditing && isFolder(getShortcut(state.currentShortcutId))) {
+    if (!name) {
+      alert('Enter a name');
+      return;
+    }
+    await updateShortcut(state.currentShortcutId, { name }, selectedTabId);
+    closeModal();
     return;
   }
   
-  if (!/^https?:\/\//i.test(url)) {
-    url = `https://${url}`;
+  if (!url) {
+    alert('Enter a URL');
+    return;
   }
 
-  if (state.isEditing && state.currentElement) {
-    const oldShortcutId = state.currentElement.dataset.shortcutId;
-    state.currentElement.href = url;
-    state.currentElement.querySelector('.shortcut-label').textContent = name;
-    
-    const icon = state.currentElement.querySelector('.shortcut-icon');
-    icon.innerHTML = '';
-    const fav = await getFaviconUrl(url);
-
-    if (fav) {
-      const img = document.createElement('img');
-      img.src = fav;
-      img.alt = `${name} favicon`;
-      icon.appendChild(img);
-    } else {
-      const span = document.createElement('span');
-      span.textContent = name.charAt(0).toUpperCase();
-      icon.appendChild(span);
-    }
+  try {
+    url = normalizeUrl(url, state.stripTracking);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
 
-    // Update tab assignment if changed
-    if (state.tabs.length > 0 && document.getElementById('tabSelect')) {
-      const selectedTabId = document.getElementById('tabSelect').value;
-      
-      // Remove shortcut from all tabs
-      state.tabs.forEach(tab => {
-        const index = tab.shortcuts.indexOf(oldShortcutId);
-        if (index !== -1) {
-          tab.shortcuts.splice(index, 1);
-        }
-      });
-      
-      // Add to selected tab
-      const tabIndex = state.tabs.findIndex(tab => tab.id === selectedTabId);
-      if (tabIndex !== -1) {
-        state.tabs[tabIndex].shortcuts.push(oldShortcutId);
-      }
-      
-      await saveTabs();
+  const keyword = elements.keywordInput.value.trim().toLowerCase();
+  if (/\s/.test(keyword)) {
+    alert('A keyword cannot contain spaces');
+    return;
+  }
+  const keywordOwner = keyword ? findKeywordShortcut(keyword) : null;
+  if (keywordOwner && keywordOwner.id !== state.currentShortcutId) {
+    alert(`"${keyword}" is already the keyword of "${keywordOwner.name}"`);
+    return;
+  }
+
+  // The search URL is only reachable through the keyword
+  const searchUrl = elements.searchUrlInput.value.trim();
+  if (searchUrl) {
+    if (!/^https?:\/\/\S+$/i.test(searchUrl) || !searchUrl.includes('%s')) {
+      alert('Enter a search URL with %s where the search terms go, such as https://example.com/search?q=%s');
+      return;
+    }
+    if (!keyword) {
+      alert('Give the shortcut a keyword to search it from the search box');
+      return;
     }
+  }
+
+  // Sites without a suggestion service suggest from history, which needs
+  // a permission; ask now, while the click still counts as the user's,
+  // and before any other dialog
+  const current = state.isEditing ? getShortcut(state.currentShortcutId) : null;
+  const host = getHostname(url) || '';
+  if (searchUrl && searchUrl !== (current && current.searchUrl)
+    && !SITE_SUGGEST_PROVIDERS.some(provider => provider.hosts.test(host))
+    && !(await requestPermission('history'))) {
+    showToast('Searching this site will work, but without suggestions from your history');
+  }
+
+  // Warn about a second shortcut to the same address, unless the URL is unchanged
+  const duplicate = findDuplicateShortcut(url, state.currentShortcutId);
+  if (duplicate && !(current && urlKey(current.url) === urlKey(url))
+    && !confirm(`"${duplicate.name}" in ${describeShortcutLocation(duplicate)} already opens this address. Save anyway?`)) {
+    return;
+  }
+
+  // A blank name is filled in from the page title, or the host
+  if (!name) {
+    elements.saveBtn.disabled = true;
+    name = (await fetchPageTitle(url)) || getHostname(url).replace(/^www\./, '');
+    elements.saveBtn.disabled = false;
+  }
+
+  const openIn = elements.openInSelect.value || undefined;
+
+  let icon;
+  try {
+    icon = readIconFields(state.isEditing ? (getShortcut(state.currentShortcutId) || {}).icon : null) || undefined;
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  icon = await storeIconImage(icon);
 
-    await saveToLocalStorage();
+  if (state.isEditing && state.currentShortcutId) {
+    await updateShortcut(state.currentShortcutId, {
+      name, url, openIn, icon, keyword: keyword || undefined, searchUrl: searchUrl || undefined,
+    }, selectedTabId);
   } else {
-    const shortcut = await addShortcut(name, url);
-    
-    // If tabs exist, update the tab assignment
-    if (state.tabs.length > 0 && document.getElementById('tabSelect')) {
-      const selectedTabId = document.getElementById('tabSelect').value;
-      const shortcutId = shortcut.dataset.shortcutId;
-      
-      // Remove from current tab
-      if (state.activeTabId) {
-        const activeTabIndex = state.tabs.findIndex(tab => tab.id === state.activeTabId);
-        if (activeTabIndex !== -1) {
-          const index = state.tabs[activeTabIndex].shortcuts.indexOf(shortcutId);
-          if (index !== -1) {
-            state.tabs[activeTabIndex].shortcuts.splice(index, 1);
-          }
-        }
-      }
-      
-      // Add to selected tab
-      const tabIndex = state.tabs.findIndex(tab => tab.id === selectedTabId);
-      if (tabIndex !== -1) {
-        state.tabs[tabIndex].shortcuts.push(shortcutId);
-        
-        // If adding to a tab that's not active, set it as active
-        if (selectedTabId !== state.activeTabId) {
-          state.activeTabId = selectedTabId;
-        }
-      }
-      
-      await saveTabs();
-      renderTabs();
-      updateVisibleShortcuts();
+    await addShortcut({
+      name, url, openIn, icon, keyword: keyword || undefined, searchUrl: searchUrl || undefined,
+    }, selectedTabId);
+
+    // If adding to a tab that's not active, set it as active
+    if (selectedTabId && selectedTabId !== state.activeTabId) {
+      await setActiveTab(selectedTabId);
     }
   }
 
+  // Edits that keep the URL leave the cached icon to its TTL and retries
+  if (!current || current.url !== url) requestFavicon(url, true);
   closeModal();
 });
 
 // Cancel button click
 elements.cancelBtn.addEventListener('click', closeModal);
 
+// Icon inputs → show the matching fields and preview the icon
+elements.iconTypeSelect.addEventListener('change', () => {
+  showIconFields();
+  updateIconPreview();
+});
+
+[elements.nameInput, elements.urlInput, elements.iconUrlInput, elements.iconEmojiInput,
+  elements.iconTextInput, elements.iconColorInput].forEach((input) => {
+  input.addEventListener('input', debounce(updateIconPreview, 300));
+});
+
+// Uploaded image → scale it down and preview it
+elements.iconFileInput.addEventListener('change', async () => {
+  const file = elements.iconFileInput.files[0];
+  if (!file) return;
+
+  try {
+    state.pendingIconImage = await resizeImage(file);
+    updateIconPreview();
+  } catch (err) {
+    console.error('Error reading icon image:', err);
+    alert(err.message);
+    elements.iconFileInput.value = '';
+  }
+});
+
 // Delete button click
 elements.deleteBtn.addEventListener('click', async () => {
-  if (state.isEditing && state.currentElement) {
-    const shortcutId = state.currentElement.dataset.shortcutId;
-    
-    // Remove shortcut from all tabs
-    if (state.tabs.length > 0) {
-      state.tabs.forEach(tab => {
-        const index = tab.shortcuts.indexOf(shortcutId);
-        if (index !== -1) {
-          tab.shortcuts.splice(index, 1);
-        }
-      });
-      await saveTabs();
-    }
-    
-    state.currentElement.remove();
-    await saveToLocalStorage();
+  if (state.isEditing && state.currentShortcutId) {
+    await deleteShortcut(state.currentShortcutId);
     closeModal();
-    updateVisibleShortcuts();
   }
 });
 
@@ -1410,6 +5451,46 @@ elements.saveCustomizeBtn.addEventListener('click', async () => {
 // Search input event
 elements.searchInput.addEventListener('input', handleSearchInput);
 
+// Tab after a site's keyword → search that site; Escape, or Backspace in
+// the empty box → search Google again
+elements.searchInput.addEventListener('keydown', (e) => {
+  if (getSearchSite()) {
+    if (e.key === 'Escape' || (e.key === 'Backspace' && !elements.searchInput.value)) {
+      e.preventDefault();
+      exitSiteSearch();
+    }
+    return;
+  }
+
+  if (e.key === 'Tab' && !e.shiftKey) {
+    const shortcut = findKeywordShortcut(elements.searchInput.value);
+    if (shortcut && shortcut.searchUrl) {
+      e.preventDefault();
+      enterSiteSearch(shortcut);
+    }
+  }
+});
+
+// Enter in the search box → search the chosen site, open the shortcut
+// whose keyword was typed, or search Google
+elements.searchForm.addEventListener('submit', (e) => {
+  const site = getSearchSite();
+  if (site) {
+    e.preventDefault();
+    const query = elements.searchInput.value.trim();
+    if (query) {
+      openShortcutFromSearch(site, query);
+    }
+    return;
+  }
+
+  const shortcut = findKeywordShortcut(elements.searchInput.value);
+  if (!shortcut) return;
+
+  e.preventDefault();
+  openShortcutFromSearch(shortcut);
+});
+
 // Arrow key navigation from input into suggestions
 elements.searchInput.addEventListener('keydown', (e) => {
   const items = [...elements.suggestionsList.querySelectorAll('.suggestion-item')];
@@ -1445,6 +5526,21 @@ elements.suggestionsList.addEventListener('keydown', (e) => {
   }
 });
 
+// Ctrl+Z → undo, Ctrl+Shift+Z or Ctrl+Y → redo (outside text fields)
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
+  }
+});
+
 // Hide suggestions when clicking outside
 document.addEventListener('click', (e) => {
   if (!elements.searchContainer.contains(e.target)) {
@@ -1452,17 +5548,91 @@ document.addEventListener('click', (e) => {
   }
 });
 
+// Close the open folder when clicking outside it (modals opened from it keep it open)
+document.addEventListener('click', (e) => {
+  if (state.openFolderId
+    && !elements.folderPopover.contains(e.target)
+    && !e.target.closest('.shortcut.folder, .modal, .toast, .selection-bar')) {
+    closeFolder();
+  }
+});
+
+// Escape closes the open folder
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && state.openFolderId) {
+    closeFolder();
+  }
+});
+
+// Escape clears the selection
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    clearSelection();
+  }
+});
+
+// Lasso selection from empty space around the shortcuts
+document.addEventListener('mousedown', startLasso);
+
+// Bulk actions on the selected shortcuts
+elements.bulkMoveSelect.addEventListener('change', async () => {
+  const tabId = elements.bulkMoveSelect.value;
+  if (tabId) {
+    await moveShortcutsToTab(getSelectedIds(), tabId);
+    clearSelection();
+  }
+});
+
+elements.bulkOpenBtn.addEventListener('click', openSelected);
+elements.bulkCopyBtn.addEventListener('click', copySelectedAsMarkdown);
+
+elements.bulkDeleteBtn.addEventListener('click', async () => {
+  await deleteShortcuts(getSelectedIds());
+  clearSelection();
+});
+
+elements.clearSelectionBtn.addEventListener('click', clearSelection);
+
 // Search icon click → submit form in same tab
 elements.searchIcon.addEventListener('click', () => elements.searchForm.submit());
 
+// Site tab turned on → ask for the permission it needs, and leave it off
+// if the user declines
+[
+  [elements.showTopSitesInput, 'topSites'],
+  [elements.showRecentInput, 'recent'],
+].forEach(([input, tabId]) => {
+  input.addEventListener('change', async () => {
+    if (input.checked && !(await requestPermission(SITE_TAB_PERMISSIONS[tabId]))) {
+      input.checked = false;
+    }
+  });
+});
+
 // Settings button click → open settings modal
 elements.settingsBtn.addEventListener('click', () => {
   elements.ipifyKeyInput.value = state.ipifyKey;
+  fillOpenModeOptions(elements.defaultOpenInSelect);
+  elements.defaultOpenInSelect.value = state.defaultOpenIn;
+  elements.tileStyleSelect.value = state.tileStyle;
+  elements.showFrequentTabInput.checked = state.showFrequentTab;
+  elements.showTopSitesInput.checked = state.siteTabs.includes('topSites');
+  elements.showRecentInput.checked = state.siteTabs.includes('recent');
+  elements.excludedDomainsInput.value = state.excludedDomains.join('\n');
+  elements.stripTrackingInput.checked = state.stripTracking;
+  elements.syncEnabledInput.checked = state.syncEnabled;
+  elements.syncApiKeysInput.checked = state.syncApiKeys;
+  elements.trashRetentionInput.value = state.trashRetentionDays;
+  updateSyncStatus();
+  updateFaviconCacheStatus();
+  renderTrash();
+  renderHealthReport();
   elements.settingsModal.classList.remove('hidden');
 });
 
 // Cancel settings button click → close settings modal
 elements.cancelSettingsBtn.addEventListener('click', () => {
+  closeImportPreview();
   elements.settingsModal.classList.add('hidden');
 });
 
@@ -1470,15 +5640,140 @@ elements.cancelSettingsBtn.addEventListener('click', () => {
 elements.saveSettingsBtn.addEventListener('click', async () => {
   state.ipifyKey = elements.ipifyKeyInput.value.trim();
   await setStorageValue(STORAGE_KEYS.IPIFY_KEY, state.ipifyKey);
+
+  state.defaultOpenIn = elements.defaultOpenInSelect.value;
+  await setStorageValue(STORAGE_KEYS.DEFAULT_OPEN_IN, state.defaultOpenIn);
+
+  const siteTabs = Object.keys(SITE_TABS).filter(id => (id === 'topSites'
+    ? elements.showTopSitesInput : elements.showRecentInput).checked);
+  if (elements.showFrequentTabInput.checked !== state.showFrequentTab
+    || siteTabs.join() !== state.siteTabs.join()) {
+    state.showFrequentTab = elements.showFrequentTabInput.checked;
+    state.siteTabs = siteTabs;
+    await setStorageValue(STORAGE_KEYS.SHOW_FREQUENT_TAB, state.showFrequentTab);
+    await setStorageValue(STORAGE_KEYS.SITE_TABS, state.siteTabs);
+
+    // Leave a generated tab that was just turned off
+    if (isGeneratedTab(state.activeTabId) && !isFrequentTabActive() && !isSiteTabActive()) {
+      await setActiveTab(await getStorageValue(STORAGE_KEYS.ACTIVE_TAB, UNGROUPED_TAB_ID));
+    } else {
+      renderTabs();
+    }
+  }
+
+  const excludedDomains = parseExcludedDomains(elements.excludedDomainsInput.value);
+  if (excludedDomains.join() !== state.excludedDomains.join()) {
+    await setExcludedDomains(excludedDomains);
+  }
+
+  state.stripTracking = elements.stripTrackingInput.checked;
+  await setStorageValue(STORAGE_KEYS.STRIP_TRACKING, state.stripTracking);
+
+  if (elements.tileStyleSelect.value !== state.tileStyle) {
+    state.tileStyle = elements.tileStyleSelect.value;
+    await setStorageValue(STORAGE_KEYS.TILE_STYLE, state.tileStyle);
+    applyTileStyle();
+  }
+
+  const stoppedSyncingApiKeys = state.syncApiKeys && !elements.syncApiKeysInput.checked;
+  state.syncEnabled = elements.syncEnabledInput.checked;
+  state.syncApiKeys = elements.syncApiKeysInput.checked;
+  await setStorageValue(STORAGE_KEYS.SYNC_ENABLED, state.syncEnabled);
+  await setStorageValue(STORAGE_KEYS.SYNC_API_KEYS, state.syncApiKeys);
+
+  const retentionDays = parseInt(elements.trashRetentionInput.value, 10);
+  if (retentionDays > 0) {
+    state.trashRetentionDays = retentionDays;
+    await setStorageValue(STORAGE_KEYS.TRASH_RETENTION_DAYS, retentionDays);
+    await purgeTrash();
+  }
+
   elements.settingsModal.classList.add('hidden');
   fetchIpInfo(); // Update IP info when API key is saved
+
+  // Merge with other devices right away when sync is switched on
+  try {
+    if (stoppedSyncingApiKeys) await removeSyncedApiKeys();
+    if (await syncNow()) await reloadBoard();
+  } catch (err) {
+    console.error('Sync error:', err);
+    alert(`Sync failed: ${err.message}`);
+  }
 });
 
+// Changes from other devices → merge and redraw
+chrome.storage.onChanged.addListener(handleRemoteSyncChange);
+
+// Changes from other open pages → redraw in place
+chrome.storage.onChanged.addListener(handleLocalStorageChange);
+
 // Reset favicons button click → reset favicons
 elements.resetFaviconsBtn.addEventListener('click', resetFavicons);
 
+// Check links button click → check every shortcut link now
+elements.checkHealthBtn.addEventListener('click', () => checkHealthNow());
+
+// Refresh icon button click → fetch the shortcut's favicon again
+elements.refreshIconBtn.addEventListener('click', refreshShortcutFavicon);
+
+// Empty trash button click → permanently delete everything in the trash
+elements.emptyTrashBtn.addEventListener('click', () => {
+  if (confirm('Permanently delete everything in Recently deleted?')) {
+    removeFromTrash(() => true);
+  }
+});
+
+// Export button click → download backup
+elements.exportBackupBtn.addEventListener('click', exportBackup);
+
+// Import button click → pick a backup file
+elements.importBackupBtn.addEventListener('click', () => elements.importFileInput.click());
+
+// Backup file chosen → validate and preview
+elements.importFileInput.addEventListener('change', () => {
+  const [file] = elements.importFileInput.files;
+  if (file) previewImport(file);
+});
+
+// Merge/Replace button click → apply the previewed import
+[
+  [elements.importMergeBtn, 'merge'],
+  [elements.importReplaceBtn, 'replace'],
+].forEach(([btn, mode]) => {
+  btn.addEventListener('click', async () => {
+    if (!state.pendingImport) return;
+    if (mode === 'replace' && !confirm('Replace all shortcuts, tabs and settings with the backup?')) {
+      return;
+    }
+
+    const plan = state.pendingImport[mode];
+    closeImportPreview();
+    await applyImport(plan);
+    elements.settingsModal.classList.add('hidden');
+  });
+});
+
+// Cancel import button click → discard the preview
+elements.importCancelBtn.addEventListener('click', closeImportPreview);
+
 // ——— TAB DRAG AND DROP FUNCTIONALITY ———
 
+/**
+ * Checks whether the item being dragged is a shortcut.
+ * 
+ * @returns {boolean} - True when a shortcut is being dragged.
+ */
+const isDraggingShortcut = () => Boolean(state.draggedItem && state.draggedItem.dataset.shortcutId);
+
+/**
+ * Checks whether a drag should copy rather than move. Ctrl, Alt (Option)
+ * and Cmd are all accepted since each platform uses a different one.
+ * 
+ * @param {DragEvent} e - The drag event.
+ * @returns {boolean} - True when a copy modifier is held.
+ */
+const isCopyDrag = e => e.ctrlKey || e.altKey || e.metaKey;
+
 /**
  * Handles the dragstart event for tabs.
  * 
@@ -1487,7 +5782,7 @@ elements.resetFaviconsBtn.addEventListener('click', resetFavicons);
 const handleTabDragStart = function(e) {
   // Don't allow dragging the Ungrouped tab
   const tab = state.tabs.find(t => t.id === this.dataset.tabId);
-  if (tab && tab.name === "Ungrouped") {
+  if (isUngroupedTab(tab)) {
     e.preventDefault();
     return false;
   }
@@ -1524,9 +5819,16 @@ const handleTabDragOver = function(e) {
     return false;
   }
   
-  // Don't allow dropping on the Ungrouped tab
+  // Shortcuts can be dropped on any tab, holding a modifier copies them
+  if (isDraggingShortcut()) {
+    this.style.boxShadow = '0 0 0 2px #8ab4f8';
+    e.dataTransfer.dropEffect = isCopyDrag(e) ? 'copy' : 'move';
+    return false;
+  }
+  
+  // Don't allow dropping a tab on the Ungrouped tab
   const tab = state.tabs.find(t => t.id === this.dataset.tabId);
-  if (tab && tab.name === "Ungrouped") {
+  if (isUngroupedTab(tab)) {
     e.dataTransfer.dropEffect = 'none';
     return false;
   }
@@ -1560,9 +5862,18 @@ const handleTabDrop = function(e) {
   
   if (state.draggedItem === this) return false;
   
-  // Don't allow dropping on the Ungrouped tab
+  if (isDraggingShortcut()) {
+    // The shortcut may leave the grid, so dragend might never reach it
+    const shortcutEl = state.draggedItem;
+    shortcutEl.classList.remove('dragging');
+    state.draggedItem = null;
+    moveShortcutToTab(shortcutEl.dataset.shortcutId, this.dataset.tabId, isCopyDrag(e));
+    return false;
+  }
+  
+  // Don't allow dropping a tab on the Ungrouped tab
   const tab = state.tabs.find(t => t.id === this.dataset.tabId);
-  if (tab && tab.name === "Ungrouped") {
+  if (isUngroupedTab(tab)) {
     return false;
   }
   
@@ -1572,8 +5883,7 @@ const handleTabDrop = function(e) {
       .filter(tab => tab !== elements.addTabBtn)
       .filter(tab => {
         // Exclude the Ungrouped tab from reordering
-        const tabData = state.tabs.find(t => t.id === tab.dataset.tabId);
-        return !(tabData && tabData.name === "Ungrouped");
+        return tab.dataset.tabId !== UNGROUPED_TAB_ID;
       });
     
     const draggedIndex = tabElements.indexOf(state.draggedItem);
@@ -1593,29 +5903,31 @@ const handleTabDrop = function(e) {
       const droppedTab = state.tabs.find(tab => tab.id === this.dataset.tabId);
       
       if (draggedTab && droppedTab) {
-        // Get the ungrouped tab first
-        const ungroupedTab = state.tabs.find(tab => tab.name === "Ungrouped");
-        
-        // Filter out the ungrouped tab and the dragged tab
-        const otherTabs = state.tabs.filter(tab => 
-          tab.name !== "Ungrouped" && tab.id !== draggedTabId
-        );
-        
-        // Find the position of the dropped tab in the filtered array
-        const droppedTabIndex = otherTabs.findIndex(tab => tab.id === droppedTab.id);
-        
-        // Insert the dragged tab at the right position
-        if (draggedIndex < droppedIndex) {
-          otherTabs.splice(droppedTabIndex + 1, 0, draggedTab);
-        } else {
-          otherTabs.splice(droppedTabIndex, 0, draggedTab);
-        }
-        
-        // Reconstruct the tabs array with Ungrouped first
-        state.tabs = ungroupedTab ? [ungroupedTab, ...otherTabs] : otherTabs;
-        
-        // Save the reordering
-        saveTabs();
+        runCommand('Moved tab', async () => {
+          // Get the ungrouped tab first
+          const ungroupedTab = getUngroupedTab();
+          
+          // Filter out the ungrouped tab and the dragged tab
+          const otherTabs = state.tabs.filter(tab => 
+            !isUngroupedTab(tab) && tab.id !== draggedTabId
+          );
+          
+          // Find the position of the dropped tab in the filtered array
+          const droppedTabIndex = otherTabs.findIndex(tab => tab.id === droppedTab.id);
+          
+          // Insert the dragged tab at the right position
+          if (draggedIndex < droppedIndex) {
+            otherTabs.splice(droppedTabIndex + 1, 0, draggedTab);
+          } else {
+            otherTabs.splice(droppedTabIndex, 0, draggedTab);
+          }
+          
+          // Reconstruct the tabs array with Ungrouped first
+          state.tabs = ungroupedTab ? [ungroupedTab, ...otherTabs] : otherTabs;
+          
+          // Save the reordering
+          await saveTabs();
+        }, { destructive: true });
       }
     }
   }
@@ -0,0 +1,56 @@
+/**
+ * A small in-memory stand-in for the chrome.* APIs the background worker
+ * uses, enough to run it under Node.
+ */
+
+/**
+ * Creates a chrome object with empty storage and no alarms.
+ *
+ * @returns {Object} - The fake, plus `alarms.all` to inspect alarms.
+ */
+const createChrome = () => {
+  const items = new Map();
+  const alarms = new Map();
+  const listeners = () => ({ addListener: () => {} });
+  const copy = value => (value === undefined ? value : structuredClone(value));
+
+  const local = {
+    get: async (keys) => {
+      const names = keys === null || keys === undefined ? [...items.keys()]
+        : typeof keys === 'string' ? [keys]
+          : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      names.filter(name => items.has(name)).forEach((name) => {
+        result[name] = copy(items.get(name));
+      });
+      return result;
+    },
+    set: async (values) => {
+      Object.keys(values).forEach(name => items.set(name, copy(values[name])));
+    },
+    remove: async (keys) => {
+      [].concat(keys).forEach(name => items.delete(name));
+    },
+  };
+
+  return {
+    storage: { local, onChanged: listeners() },
+    alarms: {
+      all: alarms,
+      create: async (name, info) => {
+        alarms.set(name, { name, ...info });
+      },
+      clear: async name => alarms.delete(name),
+      get: async name => alarms.get(name),
+      onAlarm: listeners(),
+    },
+    runtime: {
+      getURL: file => `chrome-extension://test${file}`,
+      onInstalled: listeners(),
+      onMessage: listeners(),
+    },
+    tabs: { onUpdated: listeners() },
+  };
+};
+
+module.exports = { createChrome };
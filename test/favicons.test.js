@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load');
+const { createChrome } = require('./chrome');
+const { serve } = require('./server');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const png = () => ({ type: 'image/png', body: PNG });
+const dataUrl = (type, body) => `data:${type};base64,${body.toString('base64')}`;
+
+// The resolver asks Chrome's favicon service first; the chrome fake has
+// no such service, so every lookup goes on to the page
+const resolver = loadScripts(['favicons.js'], { chrome: createChrome() });
+
+test('findDeclaredIcons reads link icons, touch icons and the manifest', async (t) => {
+  const server = await serve({
+    '/': {
+      body: `<html><head>
+        <link rel="icon" href="/small.png" sizes="16x16">
+        <link rel="apple-touch-icon" href="touch.png">
+        <link rel=manifest href='/app.webmanifest'>
+        <link rel="stylesheet" href="/style.css">
+      </head></html>`,
+    },
+    '/app.webmanifest': {
+      type: 'application/manifest+json',
+      body: JSON.stringify({ icons: [{ src: 'big.png', sizes: '192x192 512x512' }] }),
+    },
+  });
+  t.after(() => server.close());
+  const origin = server.origin();
+
+  assert.deepEqual(plain(await resolver.findDeclaredIcons(`${origin}/`)), [
+    { url: `${origin}/small.png`, size: 16 },
+    { url: `${origin}/touch.png`, size: 180 },
+    { url: `${origin}/big.png`, size: 512 },
+  ]);
+});
+
+test('findFavicon takes the largest declared icon and stops there', async (t) => {
+  const server = await serve({
+    '/': { body: '<link rel="icon" href="/small.png" sizes="16x16"><link rel="icon" href="/big.png" sizes="256x256">' },
+    '/small.png': png(),
+    '/big.png': png(),
+  });
+  t.after(() => server.close());
+
+  const icon = await resolver.findFavicon(`${server.origin()}/`);
+  assert.deepEqual(plain(icon), { dataUrl: dataUrl('image/png', PNG), size: 256 });
+  assert.ok(!server.requests.some(request => request.endsWith('/small.png')));
+  assert.ok(!server.requests.some(request => request.endsWith('/favicon.ico')));
+});
+
+test('findFavicon skips missing, oversized and non-image icons', async (t) => {
+  const server = await serve({
+    '/': {
+      body: `<link rel="icon" href="/missing.png" sizes="512x512">
+        <link rel="icon" href="/huge.png" sizes="256x256">
+        <link rel="icon" href="/page.png" sizes="192x192">
+        <link rel="icon" href="/good.png" sizes="32x32">`,
+    },
+    '/huge.png': { type: 'image/png', body: Buffer.alloc(resolver.FAVICON_MAX_BYTES + 1) },
+    '/page.png': { body: '<html></html>' },
+    '/good.png': png(),
+  });
+  t.after(() => server.close());
+
+  const icon = await resolver.findFavicon(`${server.origin()}/`);
+  assert.deepEqual(plain(icon), { dataUrl: dataUrl('image/png', PNG), size: 32 });
+});
+
+test('findFavicon falls back to /favicon.ico sent without an image type', async (t) => {
+  const ico = Buffer.from('00000100', 'hex');
+  const server = await serve({
+    '/page': { body: '<title>No icons here</title>' },
+    '/favicon.ico': { type: 'application/octet-stream', body: ico },
+  });
+  t.after(() => server.close());
+
+  const icon = await resolver.findFavicon(`${server.origin()}/page`);
+  assert.equal(icon.dataUrl, dataUrl('image/x-icon', ico));
+});
+
+test('findFavicon gives null when a site has no icon', async (t) => {
+  const server = await serve({ '/': { body: '<title>Nothing</title>' } });
+  t.after(() => server.close());
+
+  assert.equal(await resolver.findFavicon(`${server.origin()}/`), null);
+});
+
+test('parallel failures are all recorded, with one retry alarm per host', async (t) => {
+  // Slow answers keep the resolutions overlapping
+  const server = await serve({ '/': { body: '<title>Nothing</title>', delay: 50 } });
+  t.after(() => server.close());
+  const chrome = createChrome();
+  const worker = loadScripts(['background.js'], { chrome });
+  const hosts = Array.from({ length: 10 }, (_, i) => `127.0.0.${i + 1}`);
+
+  const resolved = await Promise.all(hosts.map(host => worker.resolveFavicon(`${server.origin(host)}/a`)));
+  assert.ok(resolved.every(result => result === false));
+
+  const failures = plain(await worker.getFaviconFailures());
+  assert.deepEqual(Object.keys(failures).sort(), [...hosts].sort());
+  hosts.forEach(host => assert.deepEqual(failures[host], { attempts: 1, url: `${server.origin(host)}/a` }));
+
+  const alarms = [...chrome.alarms.all.keys()].filter(name => name.startsWith('faviconRetry|'));
+  assert.deepEqual(alarms.sort(), hosts.map(host => `faviconRetry|${host}`).sort());
+
+  // Only one request per host is running at a time, so this is the
+  // number of resolutions running at once
+  assert.ok(server.maxInFlight <= worker.FAVICON_MAX_CONCURRENT, `${server.maxInFlight} in flight`);
+  assert.ok(server.maxInFlight > 1);
+});
+
+test('a later success clears the failure and its retry alarm', async (t) => {
+  const routes = { '/': { body: '<title>Nothing</title>' } };
+  const server = await serve(routes);
+  t.after(() => server.close());
+  const pageUrl = `${server.origin()}/`;
+  const chrome = createChrome();
+  // Only hosts with a shortcut are cached
+  await chrome.storage.local.set({ shortcuts: [{ id: 'a', name: 'Local', url: pageUrl }] });
+  const worker = loadScripts(['background.js'], { chrome });
+
+  assert.equal(await worker.resolveFavicon(pageUrl), false);
+  // A pending retry stops unforced resolutions
+  assert.equal(await worker.resolveFavicon(pageUrl), false);
+  assert.equal(plain(await worker.getFaviconFailures())['127.0.0.1'].attempts, 1);
+
+  routes['/favicon.ico'] = png();
+  await worker.retryFavicon('127.0.0.1');
+
+  assert.deepEqual(plain(await worker.getFaviconFailures()), {});
+  assert.equal(chrome.alarms.all.has('faviconRetry|127.0.0.1'), false);
+  const { 'favicon_127.0.0.1': entry } = await chrome.storage.local.get('favicon_127.0.0.1');
+  assert.equal(entry.src, dataUrl('image/png', PNG));
+});
+
+test('pruneFaviconCache finds icons through the index, not all of storage', async () => {
+  const chrome = createChrome();
+  const entry = (src, usedAt) => ({ src, bytes: src.length, fetchedAt: Date.now(), usedAt });
+  await chrome.storage.local.set({
+    shortcuts: [{ id: 'a', url: 'https://kept.example/' }, { id: 'b', url: 'https://new.example/' }],
+    'favicon_kept.example': entry('data:kept', 1),
+    'favicon_gone.example': entry('data:gone', 1),
+    'favicon_new.example': entry('data:new', 2),
+    'thumbnail_https://kept.example': { src: 'data:large', capturedAt: 1 },
+  });
+  const worker = loadScripts(['background.js'], { chrome });
+
+  // Storage from before the index is scanned once
+  await worker.pruneFaviconCache();
+  const { faviconIndex } = await chrome.storage.local.get('faviconIndex');
+  assert.deepEqual(Object.keys(faviconIndex).sort(), ['favicon_kept.example', 'favicon_new.example']);
+  assert.equal((await chrome.storage.local.get('favicon_gone.example'))['favicon_gone.example'], undefined);
+
+  const { get } = chrome.storage.local;
+  chrome.storage.local.get = (keys) => {
+    assert.notEqual(keys, null);
+    return get(keys);
+  };
+  await chrome.storage.local.set({
+    shortcuts: [{ id: 'a', url: 'https://kept.example/' }],
+  });
+  await worker.pruneFaviconCache();
+  assert.deepEqual(Object.keys((await chrome.storage.local.get('faviconIndex')).faviconIndex), ['favicon_kept.example']);
+  assert.equal((await chrome.storage.local.get('favicon_new.example'))['favicon_new.example'], undefined);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load');
+const { createChrome } = require('./chrome');
+const { serve } = require('./server');
+
+const probe = loadScripts(['favicons.js', 'health.js']);
+const ok = { status: 'ok', reason: null, location: null };
+
+test('probeUrl falls back to GET when HEAD is refused', async (t) => {
+  const server = await serve({
+    '/': (request, response) => {
+      response.writeHead(request.method === 'HEAD' ? 405 : 200);
+      response.end();
+    },
+  });
+  t.after(() => server.close());
+
+  assert.deepEqual(plain(await probe.probeUrl(`${server.origin()}/`)), ok);
+  assert.deepEqual(server.requests, ['HEAD 127.0.0.1 /', 'GET 127.0.0.1 /']);
+});
+
+test('probeUrl stops after HEAD when it works', async (t) => {
+  const server = await serve({ '/': {} });
+  t.after(() => server.close());
+
+  assert.deepEqual(plain(await probe.probeUrl(`${server.origin()}/`)), ok);
+  assert.deepEqual(server.requests, ['HEAD 127.0.0.1 /']);
+});
+
+test('probeUrl reports client and server errors', async (t) => {
+  const server = await serve({ '/down': { status: 503 } });
+  t.after(() => server.close());
+
+  assert.deepEqual(plain(await probe.probeUrl(`${server.origin()}/gone`)), {
+    status: 'broken', reason: 'HTTP 404', location: null,
+  });
+  assert.deepEqual(plain(await probe.probeUrl(`${server.origin()}/down`)), {
+    status: 'broken', reason: 'HTTP 503', location: null,
+  });
+});
+
+test('probeUrl reports hosts that do not resolve', async () => {
+  assert.deepEqual(plain(await probe.probeUrl('http://no-such-host.invalid/')), {
+    status: 'broken', reason: 'Could not connect (DNS or network error)', location: null,
+  });
+});
+
+test('probeUrl gives up on servers that never answer', async (t) => {
+  const server = await serve({ '/': () => {} });
+  t.after(() => server.close());
+
+  assert.deepEqual(plain(await probe.probeUrl(`${server.origin()}/`, 200)), {
+    status: 'broken', reason: 'Timed out', location: null,
+  });
+});
+
+test('probeUrl flags redirects to another host only', async (t) => {
+  const redirect = host => (request, response) => {
+    const port = request.headers.host.split(':')[1];
+    response.writeHead(301, { location: `http://${host}:${port}/new` });
+    response.end();
+  };
+  const server = await serve({
+    '/moved': redirect('localhost'),
+    '/renamed': redirect('127.0.0.1'),
+    '/new': {},
+  });
+  t.after(() => server.close());
+
+  assert.deepEqual(plain(await probe.probeUrl(`${server.origin()}/moved`)), {
+    status: 'redirected', reason: 'Redirects to localhost', location: `${server.origin('localhost')}/new`,
+  });
+  assert.deepEqual(plain(await probe.probeUrl(`${server.origin()}/renamed`)), ok);
+});
+
+test('runHealthCheck writes results in batches', async (t) => {
+  const server = await serve({ '/': {} });
+  t.after(() => server.close());
+  const chrome = createChrome();
+  const shortcuts = Array.from({ length: 25 }, (_, i) => ({ id: `s${i}`, url: `${server.origin()}/?page=${i}` }));
+  await chrome.storage.local.set({ shortcuts, shortcutHealth: { 'https://deleted.example/': ok } });
+
+  const writes = [];
+  const { set } = chrome.storage.local;
+  chrome.storage.local.set = (values) => {
+    if (values.shortcutHealth) writes.push(Object.keys(values.shortcutHealth).length);
+    return set(values);
+  };
+  const worker = loadScripts(['background.js'], { chrome });
+
+  assert.equal(await worker.runHealthCheck(), 25);
+  assert.deepEqual(writes, [10, 20, 25]);
+
+  const { shortcutHealth } = await chrome.storage.local.get('shortcutHealth');
+  assert.deepEqual(Object.keys(shortcutHealth), shortcuts.map(shortcut => shortcut.url));
+  assert.ok(Object.values(shortcutHealth).every(result => result.status === 'ok'));
+});
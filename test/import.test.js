@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load');
+
+const board = loadScripts(['board.js']);
+
+/**
+ * Lists the tabs of import data with the URLs of their shortcuts.
+ *
+ * @param {Object} data - Result of buildImportData().
+ * @returns {Object<string, string[]>} - URLs by tab name.
+ */
+const tabContents = ({ shortcuts, tabs }) => {
+  const urls = new Map(plain(shortcuts).map(shortcut => [shortcut.id, shortcut.url]));
+  const contents = {};
+  plain(tabs).forEach((tab) => {
+    contents[tab.name] = tab.shortcuts.map(id => urls.get(id));
+  });
+  return contents;
+};
+
+test('bookmark folders with the same name under different parents stay apart', () => {
+  const data = board.buildImportData([
+    { name: 'Spec', url: 'https://spec.example/', folder: ['Bookmarks bar', 'Work', 'Docs'] },
+    { name: 'Recipes', url: 'https://recipes.example/', folder: ['Bookmarks bar', 'Personal', 'Docs'] },
+    { name: 'Mail', url: 'https://mail.example/', folder: ['Bookmarks bar', 'Work'] },
+    { name: 'News', url: 'https://news.example/', folder: ['Bookmarks bar'] },
+  ]);
+
+  assert.deepEqual(tabContents(data), {
+    'Work / Docs': ['https://spec.example/'],
+    'Personal / Docs': ['https://recipes.example/'],
+    Work: ['https://mail.example/'],
+    'Bookmarks bar': ['https://news.example/'],
+  });
+});
+
+test('nameFolderTabs adds parents only until names differ', () => {
+  const names = plain([...board.nameFolderTabs([
+    ['A', 'X', 'Docs'],
+    ['B', 'X', 'Docs'],
+    ['Docs'],
+    ['Music'],
+  ]).values()]);
+
+  assert.deepEqual(names, ['A / X / Docs', 'B / X / Docs', 'Docs', 'Music']);
+});
+
+test('links without a folder, or with a folder name, are grouped as before', () => {
+  const data = board.buildImportData([
+    { name: 'Loose', url: 'https://loose.example/', folder: null },
+    { name: 'Dial', url: 'https://dial.example/', folder: 'Favourites' },
+    { name: 'Bookmarklet', url: 'javascript:alert(1)', folder: 'Favourites' },
+  ]);
+
+  assert.deepEqual(tabContents(data), {
+    Ungrouped: ['https://loose.example/'],
+    Favourites: ['https://dial.example/'],
+  });
+  assert.equal(data.tabs[0].id, board.UNGROUPED_TAB_ID);
+});
@@ -0,0 +1,59 @@
+/**
+ * Loads extension scripts for tests. The page and the service worker
+ * load plain scripts that share one global scope, so the tests do the
+ * same: the files run in a fresh VM context and their top-level
+ * declarations are read back by name.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Runs extension scripts in a new context.
+ *
+ * @param {string[]} files - Script paths relative to the repository root,
+ *   in the order the extension loads them.
+ * @param {Object} globals - Extra globals, such as a `chrome` fake.
+ * @returns {Object} - Top-level declarations of the scripts by name.
+ */
+const loadScripts = (files, globals = {}) => {
+  const run = (file) => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  };
+
+  const context = vm.createContext({
+    AbortController,
+    Blob,
+    URL,
+    atob,
+    btoa,
+    clearTimeout,
+    console,
+    crypto,
+    fetch,
+    setTimeout,
+    // The service worker pulls in shared scripts itself
+    importScripts: (...names) => names.forEach(run),
+    ...globals,
+  });
+
+  files.forEach(run);
+
+  return new Proxy({}, { get: (target, name) => vm.runInContext(String(name), context) });
+};
+
+/**
+ * Copies a value created inside a script context into this one, so
+ * assert.deepStrictEqual() does not trip over the other context's
+ * prototypes.
+ *
+ * @param {*} value - JSON-compatible value.
+ * @returns {*} - Equal value from this context.
+ */
+const plain = value => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadScripts, plain };
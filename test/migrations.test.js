@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load');
+
+const board = loadScripts(['board.js']);
+
+/**
+ * Runs one migration step by version.
+ *
+ * @param {number} version - Migration version.
+ * @param {Object} data - Board data.
+ * @returns {Object} - Migrated data.
+ */
+const migrate = (version, data) => plain(board.MIGRATIONS.find(m => m.version === version).migrate(data));
+
+const link = (id, name = id) => ({ id, name, url: `https://${name}.example/` });
+const folder = (id, shortcuts) => ({ id, type: 'folder', name: id, shortcuts });
+
+test('migrations are numbered 1..SCHEMA_VERSION in order', () => {
+  assert.deepEqual(plain(board.MIGRATIONS.map(m => m.version)), [1, 2, 3, 4]);
+  assert.equal(board.SCHEMA_VERSION, 4);
+});
+
+test('migration 1 gives duplicate and missing IDs fresh ones', () => {
+  const input = {
+    shortcuts: [link('1', 'a'), link('1', 'b'), { name: 'c', url: 'https://c.example/' }],
+    tabs: [
+      { id: 't1', name: 'One', shortcuts: ['1'] },
+      { id: 't1', name: 'Two', shortcuts: ['1'] },
+    ],
+    activeTab: 't1',
+  };
+  const output = migrate(1, input);
+
+  const [a, b, c] = output.shortcuts;
+  assert.equal(a.id, '1');
+  assert.notEqual(b.id, '1');
+  assert.ok(c.id);
+  assert.deepEqual(output.shortcuts.map(s => s.name), ['a', 'b', 'c']);
+
+  // The n-th reference to a shared ID goes to the n-th shortcut with it
+  assert.deepEqual(output.tabs[0].shortcuts, ['1']);
+  assert.deepEqual(output.tabs[1].shortcuts, [b.id]);
+  assert.equal(output.tabs[0].id, 't1');
+  assert.notEqual(output.tabs[1].id, 't1');
+  assert.equal(output.activeTab, 't1');
+
+  assert.deepEqual(migrate(1, output), output);
+});
+
+test('migration 1 clears an active tab that does not exist', () => {
+  const output = migrate(1, { shortcuts: [], tabs: [{ id: 't1', name: 'One', shortcuts: [] }], activeTab: 'gone' });
+  assert.equal(output.activeTab, null);
+});
+
+test('migration 2 gives the Ungrouped tab its fixed ID and puts it first', () => {
+  const input = {
+    shortcuts: [link('a'), link('b'), link('c')],
+    tabs: [
+      { id: 'work', name: 'Work', shortcuts: ['a'] },
+      { id: 'old1', name: 'Ungrouped', shortcuts: ['b'] },
+      { id: 'old2', name: 'Ungrouped', shortcuts: ['c'] },
+    ],
+    activeTab: 'old2',
+  };
+  const output = migrate(2, input);
+
+  assert.deepEqual(output.tabs, [
+    { id: 'ungrouped', name: 'Ungrouped', shortcuts: ['b', 'c'] },
+    { id: 'work', name: 'Work', shortcuts: ['a'] },
+  ]);
+  assert.equal(output.activeTab, 'ungrouped');
+  assert.deepEqual(output.shortcuts, plain(input.shortcuts));
+
+  assert.deepEqual(migrate(2, output), output);
+});
+
+test('migration 3 drops dangling references and adopts orphans into Ungrouped', () => {
+  const input = {
+    shortcuts: [link('a'), link('b'), link('c')],
+    tabs: [
+      { id: 'work', name: 'Work', shortcuts: ['a', 'gone', 'a'] },
+      { id: 'home', name: 'Home', shortcuts: ['a', 'b'] },
+    ],
+    activeTab: 'deleted',
+  };
+  const output = migrate(3, input);
+
+  assert.deepEqual(output.tabs, [
+    { id: 'ungrouped', name: 'Ungrouped', shortcuts: ['c'] },
+    { id: 'work', name: 'Work', shortcuts: ['a'] },
+    { id: 'home', name: 'Home', shortcuts: ['b'] },
+  ]);
+  assert.equal(output.activeTab, 'ungrouped');
+
+  assert.deepEqual(migrate(3, output), output);
+});
+
+test('migration 4 lets folders claim their contents before tabs', () => {
+  const input = {
+    shortcuts: [link('a'), link('b'), folder('inner', ['b']), folder('f', ['a', 'inner', 'gone']), link('c')],
+    tabs: [
+      { id: 'ungrouped', name: 'Ungrouped', shortcuts: ['a'] },
+      { id: 'work', name: 'Work', shortcuts: ['f'] },
+    ],
+    activeTab: 'work',
+  };
+  const output = migrate(4, input);
+
+  assert.deepEqual(output.shortcuts.find(s => s.id === 'f').shortcuts, ['a']);
+  assert.deepEqual(output.shortcuts.find(s => s.id === 'inner').shortcuts, ['b']);
+  // The nested folder and the shortcut without a place go to Ungrouped
+  assert.deepEqual(output.tabs, [
+    { id: 'ungrouped', name: 'Ungrouped', shortcuts: ['inner', 'c'] },
+    { id: 'work', name: 'Work', shortcuts: ['f'] },
+  ]);
+  assert.equal(output.activeTab, 'work');
+
+  assert.deepEqual(migrate(4, output), output);
+});
+
+test('migrateData runs every step after the stored version', () => {
+  const input = {
+    shortcuts: [link('1', 'a'), link('1', 'b')],
+    tabs: [{ id: 'x', name: 'Ungrouped', shortcuts: ['1'] }],
+    activeTab: 'x',
+  };
+  const output = plain(board.migrateData(input, 0));
+
+  assert.equal(output.tabs.length, 1);
+  assert.equal(output.tabs[0].id, 'ungrouped');
+  assert.deepEqual(output.tabs[0].shortcuts, output.shortcuts.map(s => s.id));
+  assert.equal(output.activeTab, 'ungrouped');
+
+  assert.deepEqual(plain(board.migrateData(output, 0)), output);
+  assert.equal(board.migrateData(input, board.SCHEMA_VERSION), input);
+});
+
+test('repairBoard keeps a generated tab active', () => {
+  const data = { shortcuts: [link('a')], tabs: [{ id: 'work', name: 'Work', shortcuts: ['a'] }], activeTab: 'frequent' };
+
+  assert.equal(board.repairBoard(data).activeTab, 'ungrouped');
+  assert.equal(board.repairBoard(data, id => id === 'frequent').activeTab, 'frequent');
+  assert.equal(board.repairBoard({ ...data, activeTab: 'gone' }, id => id === 'frequent').activeTab, 'ungrouped');
+});
@@ -0,0 +1,60 @@
+/**
+ * A local HTTP server for tests that talk to the network. Every address
+ * in 127.0.0.0/8 reaches it, so tests can use several hosts at once.
+ */
+
+const http = require('node:http');
+
+/**
+ * Starts a server that answers from a table of routes. Unknown paths get
+ * a 404.
+ *
+ * @param {Object<string, Object|Function>} routes - Responses by path.
+ *   A route is either `{status, type, body, headers, delay}` or a
+ *   function `(request, response)` that answers by itself.
+ * @returns {Promise<Object>} - The server, with `origin(host)` to build
+ *   URLs, `requests` listing requested `host path` pairs, `maxInFlight`
+ *   and `close()`.
+ */
+const serve = routes => new Promise((resolve) => {
+  let inFlight = 0;
+  const server = http.createServer((request, response) => {
+    const host = request.headers.host.replace(/:\d+$/, '');
+    const path = request.url.split('?')[0];
+    server.requests.push(`${request.method} ${host} ${path}`);
+    inFlight += 1;
+    server.maxInFlight = Math.max(server.maxInFlight, inFlight);
+    response.on('close', () => {
+      inFlight -= 1;
+    });
+
+    const route = routes[path];
+    if (typeof route === 'function') {
+      route(request, response);
+      return;
+    }
+
+    const {
+      status = 200, type = 'text/html', body = '', headers = {}, delay = 0,
+    } = route || { status: 404, body: 'Not found' };
+    setTimeout(() => {
+      response.writeHead(status, { 'content-type': type, ...headers });
+      response.end(request.method === 'HEAD' ? undefined : body);
+    }, delay);
+  });
+
+  server.requests = [];
+  server.maxInFlight = 0;
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.origin = (host = '127.0.0.1') => `http://${host}:${port}`;
+    const close = server.close.bind(server);
+    server.close = () => {
+      server.closeAllConnections();
+      return new Promise(done => close(done));
+    };
+    resolve(server);
+  });
+});
+
+module.exports = { serve };
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load');
+const { createChrome } = require('./chrome');
+
+/**
+ * Loads the background worker with storage that refuses full scans once
+ * the thumbnail index exists.
+ *
+ * @param {Object} items - Initial storage.
+ * @returns {Promise<{chrome: Object, worker: Object}>}
+ */
+const start = async (items) => {
+  const chrome = createChrome();
+  await chrome.storage.local.set(items);
+  const { get } = chrome.storage.local;
+  chrome.storage.local.get = async (keys) => {
+    if (keys === null) assert.equal((await get('thumbnailIndex')).thumbnailIndex, undefined);
+    return get(keys);
+  };
+  return { chrome, worker: loadScripts(['background.js'], { chrome }) };
+};
+
+test('thumbnailKey ignores fragments and trailing slashes', () => {
+  const cache = loadScripts(['cache.js']);
+  assert.equal(cache.thumbnailKey('https://a.example/docs/#top'), 'thumbnail_https://a.example/docs');
+  assert.equal(cache.thumbnailKey('https://a.example/?q=1'), 'thumbnail_https://a.example?q=1');
+  assert.equal(cache.thumbnailKey('not a url'), null);
+});
+
+test('storeThumbnail evicts the oldest captures past the byte cap', async () => {
+  const { chrome, worker } = await start({});
+  const src = 'x'.repeat(worker.THUMBNAIL_CACHE_BYTES / 3);
+
+  await Promise.all(['a', 'b', 'c'].map(name => worker.storeThumbnail(`thumbnail_https://${name}.example`, src)));
+  await worker.storeThumbnail('thumbnail_https://d.example', src);
+
+  const { thumbnailIndex } = await chrome.storage.local.get('thumbnailIndex');
+  assert.deepEqual(Object.keys(thumbnailIndex).sort(), ['b', 'c', 'd'].map(name => `thumbnail_https://${name}.example`));
+  const stored = await chrome.storage.local.get('thumbnail_https://a.example');
+  assert.deepEqual(plain(stored), {});
+});
+
+test('pruneThumbnails drops pages without a shortcut using the index', async () => {
+  const { chrome, worker } = await start({
+    shortcuts: [{ id: 'a', url: 'https://a.example/' }],
+    'thumbnail_https://a.example': { src: 'data:a', capturedAt: 1 },
+    'thumbnail_https://b.example': { src: 'data:b', capturedAt: 2 },
+  });
+
+  // The first prune indexes what older versions stored
+  await worker.pruneThumbnails();
+  assert.deepEqual(plain((await chrome.storage.local.get('thumbnailIndex')).thumbnailIndex), {
+    'thumbnail_https://a.example': { bytes: 6, storedAt: 1 },
+  });
+  assert.deepEqual(plain(await chrome.storage.local.get('thumbnail_https://b.example')), {});
+
+  await chrome.storage.local.set({ shortcuts: [] });
+  await worker.pruneThumbnails();
+  assert.deepEqual(plain((await chrome.storage.local.get('thumbnailIndex')).thumbnailIndex), {});
+  assert.deepEqual(plain(await chrome.storage.local.get('thumbnail_https://a.example')), {});
+});